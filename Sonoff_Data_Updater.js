@@ -10,9 +10,19 @@
  * This script checks all Sonoff devices and retrieves missing data:
  * - MAC address (via "status 5")
  * - GPIO configuration (via "Template")
+ * - Interlock groups of multi-relay devices (via "Interlock")
+ *
+ * The raw template is stored as JSON in CONFIG.templateStates.<device>, where
+ * the bridge decodes it into the device capabilities (relays, PWM, ...).
+ * The Interlock reply is stored in CONFIG.interlockStates.<device> on every run.
+ *
+ * Commands are sent via MQTT (cmnd/<topic>/...) and confirmed by the
+ * matching stat/<topic>/... reply. The HTTP endpoint /cm is used as fallback.
  *
  * Requirements:
  * - ioBroker Sonoff Adapter (sonoff.x)
+ * - ioBroker MQTT Client Adapter (mqtt.x) connected to the broker of the
+ *   Tasmota devices (e.g. the Sonoff adapter), subscribed to: stat/#
  */
 
 // ==================== CONFIGURATION ====================
@@ -20,7 +30,22 @@
 const CONFIG = {
     sonoffAdapter: 'sonoff.0',          // Sonoff Adapter instance (CHANGE THIS!)
     
-    // Wait time after HTTP request (in milliseconds)
+    // MQTT transport (set mqttAdapter to null to use HTTP only)
+    mqttAdapter: 'mqtt.5',              // MQTT Client Adapter instance on the Tasmota broker (CHANGE THIS!)
+    mqttTimeout: 5000,                  // Wait time for the stat/<topic>/... reply (in milliseconds)
+    
+    // HTTP transport (fallback)
+    httpFallback: true,                 // Use http://<ip>/cm if MQTT fails
+    tasmotaUser: 'admin',               // Tasmota web user (WebPassword)
+    tasmotaPassword: '',                // Tasmota web password, empty if none
+    
+    // Raw Tasmota templates (one JSON state per device, read by the bridge)
+    templateStates: '0_userdata.0.Sonoff2Z2M.templates',
+    
+    // Interlock replies of multi-relay devices (one JSON state per device, read by the bridge, null = don't query)
+    interlockStates: '0_userdata.0.Sonoff2Z2M.interlock',
+    
+    // Wait time after a successful request (in milliseconds)
     waitAfterRequest: 1500,             // 1.5 seconds waiting for state updates
     
     // Logging
@@ -56,30 +81,167 @@ function getStateValue(stateId) {
 }
 
 /**
- * Sends HTTP command to Tasmota device
+ * Tasmota commands used by this script
+ * http: command for /cm, mqtt: command topic and payload, reply: stat topic,
+ * check: returns true if the reply confirms that the command worked
+ */
+const COMMANDS = {
+    mac: {
+        http: 'status 5',
+        mqtt: 'STATUS',
+        payload: '5',
+        reply: 'STATUS5',
+        check: (reply) => !!(reply.StatusNET && reply.StatusNET.Mac)
+    },
+    template: {
+        http: 'Template',
+        mqtt: 'TEMPLATE',
+        payload: '',
+        reply: 'RESULT',
+        check: (reply) => Array.isArray(reply.GPIO)
+    },
+    interlock: {
+        http: 'Interlock',
+        mqtt: 'INTERLOCK',
+        payload: '',
+        reply: 'RESULT',
+        check: (reply) => 'Interlock' in reply
+    }
+};
+
+/**
+ * Parses a JSON reply, returns null if it is not a JSON object
+ */
+function parseReply(value) {
+    if (value && typeof value === 'object') return value;
+    try {
+        const reply = JSON.parse(value);
+        return reply && typeof reply === 'object' ? reply : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Determines the MQTT topic of a Tasmota device
+ * Uses the reported topic if available, otherwise the Sonoff adapter device name
  */
-async function sendTasmotaCommand(ip, command) {
+function getTasmotaTopic(friendlyName) {
+    const topicStates = ['STATUS.Status_Topic', 'INFO.Info1_Topic'];
+    for (const stateName of topicStates) {
+        const topic = getStateValue(`${CONFIG.sonoffAdapter}.${friendlyName}.${stateName}`);
+        if (topic) return topic;
+    }
+    return friendlyName;
+}
+
+/**
+ * Sends a command via MQTT (cmnd/<topic>/<command>) and waits for the stat/<topic>/<reply>
+ * Returns the parsed reply or null on timeout
+ */
+async function sendTasmotaCommandMqtt(topic, command) {
     return new Promise((resolve) => {
+        let timer = null;
+        let handler = null;
+        
+        const finish = (reply) => {
+            if (timer) clearTimeout(timer);
+            if (handler) unsubscribe(handler);
+            resolve(reply);
+        };
+        
         try {
-            const url = `http://${ip}/cm?cmnd=${encodeURIComponent(command)}`;
-            logDebug(`Sending command to ${ip}: ${command}`);
+            // The MQTT client adapter stores stat/<topic>/<reply> as <adapter>.stat.<topic>.<reply>
+            const replyState = `${CONFIG.mqttAdapter}.stat.${topic}.${command.reply}`;
+            handler = on({ id: replyState, change: 'any' }, (obj) => {
+                const reply = parseReply(obj.state.val);
+                if (reply && command.check(reply)) {
+                    logDebug(`MQTT reply from ${topic}: ${JSON.stringify(reply).substring(0, 100)}`);
+                    finish(reply);
+                }
+            });
+            
+            timer = setTimeout(() => {
+                logError(`No MQTT reply from ${topic} for ${command.mqtt}${command.payload ? ' ' + command.payload : ''} within ${CONFIG.mqttTimeout}ms`);
+                finish(null);
+            }, CONFIG.mqttTimeout);
+            
+            logDebug(`Publishing cmnd/${topic}/${command.mqtt}: ${command.payload}`);
+            sendTo(CONFIG.mqttAdapter, 'sendMessage2Client', {
+                topic: `cmnd/${topic}/${command.mqtt}`,
+                message: command.payload
+            });
+        } catch (e) {
+            logError(`Error sending MQTT command to ${topic}: ${e.message}`);
+            finish(null);
+        }
+    });
+}
+
+/**
+ * Sends a command via HTTP (http://<ip>/cm) with optional Tasmota web credentials
+ * Returns the parsed reply or null if the request or the command failed
+ */
+async function sendTasmotaCommandHttp(ip, command) {
+    return new Promise((resolve) => {
+        try {
+            let url = `http://${ip}/cm?cmnd=${encodeURIComponent(command.http)}`;
+            if (CONFIG.tasmotaPassword) {
+                url += `&user=${encodeURIComponent(CONFIG.tasmotaUser)}&password=${encodeURIComponent(CONFIG.tasmotaPassword)}`;
+            }
+            logDebug(`Sending command to ${ip}: ${command.http}`);
             
             httpGet(url, { timeout: 5000 }, (err, response) => {
                 if (err) {
                     logError(`HTTP request failed for ${ip}: ${err}`);
-                    resolve(false);
+                    resolve(null);
+                    return;
+                }
+                
+                const reply = parseReply(response && response.data);
+                if (!reply) {
+                    logError(`Invalid HTTP reply from ${ip}`);
+                    resolve(null);
+                } else if (reply.WARNING) {
+                    // e.g. "Need user=<username>&password=<password>"
+                    logError(`Command rejected by ${ip}: ${reply.WARNING}`);
+                    resolve(null);
+                } else if (!command.check(reply)) {
+                    logError(`Unexpected reply from ${ip} for ${command.http}: ${JSON.stringify(reply).substring(0, 100)}`);
+                    resolve(null);
                 } else {
-                    logDebug(`Command sent successfully to ${ip}`);
-                    resolve(true);
+                    logDebug(`Command confirmed by ${ip}`);
+                    resolve(reply);
                 }
             });
         } catch (e) {
             logError(`Error sending command to ${ip}: ${e.message}`);
-            resolve(false);
+            resolve(null);
         }
     });
 }
 
+/**
+ * Sends a command to a Tasmota device: MQTT first, HTTP as fallback
+ * Returns the confirmed reply or null
+ */
+async function sendTasmotaCommand(friendlyName, ip, command) {
+    if (CONFIG.mqttAdapter) {
+        const reply = await sendTasmotaCommandMqtt(getTasmotaTopic(friendlyName), command);
+        if (reply) return reply;
+        
+        if (!CONFIG.httpFallback) return null;
+        logInfo(`  MQTT failed, falling back to HTTP...`);
+    }
+    
+    if (!ip) {
+        logError(`  No IP address for HTTP request to ${friendlyName}`);
+        return null;
+    }
+    
+    return sendTasmotaCommandHttp(ip, command);
+}
+
 /**
  * Waits for a specified time (in milliseconds)
  */
@@ -87,6 +249,49 @@ function wait(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Writes a JSON state, creates it if it doesn't exist yet
+ */
+async function saveJsonState(stateId, value, name) {
+    if (existsState(stateId)) {
+        setState(stateId, value, true);
+        return;
+    }
+    await new Promise(resolve => createState(stateId, value, {
+        name: name,
+        type: 'string',
+        role: 'json',
+        read: true,
+        write: false
+    }, resolve));
+}
+
+/**
+ * Stores the raw template reply ({"NAME","GPIO","FLAG","BASE"}) of a device
+ */
+async function saveTemplate(friendlyName, template) {
+    if (!CONFIG.templateStates) return;
+    
+    const value = JSON.stringify({
+        NAME: template.NAME,
+        GPIO: template.GPIO,
+        FLAG: template.FLAG,
+        BASE: template.BASE
+    });
+    await saveJsonState(`${CONFIG.templateStates}.${friendlyName}`, value, `Tasmota template of ${friendlyName}`);
+}
+
+/**
+ * Stores the Interlock reply ({"Interlock":"ON","Groups":"1,2 3,4"} or {"Interlock":"OFF"}) of a device
+ */
+async function saveInterlock(friendlyName, interlock) {
+    const value = JSON.stringify({
+        Interlock: interlock.Interlock,
+        Groups: interlock.Groups
+    });
+    await saveJsonState(`${CONFIG.interlockStates}.${friendlyName}`, value, `Tasmota interlock of ${friendlyName}`);
+}
+
 // ==================== DEVICE PROCESSING ====================
 
 /**
@@ -105,19 +310,20 @@ async function processDevice(friendlyName) {
             return { success: false, reason: 'offline' };
         }
         
-        // Read IP address
+        // Read IP address (only needed for HTTP)
         const ipState = `${CONFIG.sonoffAdapter}.${friendlyName}.INFO.Info2_IPAddress`;
         const ip = getStateValue(ipState);
         
-        if (!ip) {
+        if (!ip && !CONFIG.mqttAdapter) {
             logError(`  No IP address found for ${friendlyName}`);
             return { success: false, reason: 'no_ip' };
         }
         
-        logDebug(`  Device IP: ${ip}`);
+        logDebug(`  Device IP: ${ip}, MQTT topic: ${getTasmotaTopic(friendlyName)}`);
         
         let macRequested = false;
         let gpioRequested = false;
+        let failedRequests = 0;
         
         // Check and request MAC address if missing
         const macState = `${CONFIG.sonoffAdapter}.${friendlyName}.STATUS.StatusNET_Mac`;
@@ -125,17 +331,21 @@ async function processDevice(friendlyName) {
         
         if (!mac) {
             logInfo(`  MAC address not found, requesting status 5...`);
-            const success = await sendTasmotaCommand(ip, 'status 5');
-            if (success) {
+            const reply = await sendTasmotaCommand(friendlyName, ip, COMMANDS.mac);
+            if (reply) {
                 macRequested = true;
+                logDebug(`  Device reported MAC ${reply.StatusNET.Mac}`);
                 await wait(CONFIG.waitAfterRequest);
                 mac = getStateValue(macState);
                 
                 if (mac) {
                     logInfo(`  ✓ MAC address retrieved: ${mac}`);
                 } else {
-                    logError(`  ✗ Failed to retrieve MAC address`);
+                    logError(`  ✗ Device replied, but ${macState} was not created by the Sonoff adapter`);
                 }
+            } else {
+                failedRequests++;
+                logError(`  ✗ Failed to retrieve MAC address`);
             }
         } else {
             logDebug(`  MAC already present: ${mac}`);
@@ -145,30 +355,56 @@ async function processDevice(friendlyName) {
         const gpioPattern = `${CONFIG.sonoffAdapter}.${friendlyName}.GPIO_*`;
         let gpioStates = $(gpioPattern);
         
-        if (gpioStates.length === 0) {
-            logInfo(`  GPIO states not found, requesting Template...`);
-            const success = await sendTasmotaCommand(ip, 'Template');
-            if (success) {
+        const templateState = `${CONFIG.templateStates}.${friendlyName}`;
+        const hasTemplate = !CONFIG.templateStates || !!getStateValue(templateState);
+        
+        if (gpioStates.length === 0 || !hasTemplate) {
+            logInfo(`  ${gpioStates.length === 0 ? 'GPIO states' : 'Template'} not found, requesting Template...`);
+            const reply = await sendTasmotaCommand(friendlyName, ip, COMMANDS.template);
+            if (reply) {
                 gpioRequested = true;
+                logDebug(`  Device reported template ${reply.NAME || ''} with ${reply.GPIO.length} GPIO(s)`);
+                await saveTemplate(friendlyName, reply);
                 await wait(CONFIG.waitAfterRequest);
                 gpioStates = $(gpioPattern);
                 
                 if (gpioStates.length > 0) {
                     logInfo(`  ✓ GPIO states retrieved: ${gpioStates.length} GPIO(s)`);
+                } else if (CONFIG.templateStates) {
+                    logInfo(`  ✓ Template stored in ${templateState} (no GPIO states created by the Sonoff adapter)`);
                 } else {
-                    logError(`  ✗ Failed to retrieve GPIO states`);
+                    logError(`  ✗ Device replied, but no GPIO states were created by the Sonoff adapter`);
                 }
+            } else {
+                failedRequests++;
+                logError(`  ✗ Failed to retrieve GPIO configuration`);
             }
         } else {
             logDebug(`  GPIO states already present: ${gpioStates.length} GPIO(s)`);
         }
         
+        // Request the interlock groups of multi-relay devices (may change at any time)
+        let interlockRequested = false;
+        if (CONFIG.interlockStates && existsState(`${CONFIG.sonoffAdapter}.${friendlyName}.POWER2`)) {
+            const reply = await sendTasmotaCommand(friendlyName, ip, COMMANDS.interlock);
+            if (reply) {
+                interlockRequested = true;
+                await saveInterlock(friendlyName, reply);
+                logInfo(`  ✓ Interlock: ${reply.Interlock}${reply.Groups ? ` (groups ${reply.Groups})` : ''}`);
+            } else {
+                failedRequests++;
+                logError(`  ✗ Failed to retrieve Interlock`);
+            }
+        }
+        
         return {
             success: true,
             mac: mac,
             gpioCount: gpioStates.length,
             macRequested: macRequested,
-            gpioRequested: gpioRequested
+            gpioRequested: gpioRequested,
+            interlockRequested: interlockRequested,
+            failedRequests: failedRequests
         };
         
     } catch (e) {
@@ -212,6 +448,8 @@ async function scanAndUpdateDevices() {
         offline: 0,
         macRequested: 0,
         gpioRequested: 0,
+        interlockRequested: 0,
+        failedRequests: 0,
         errors: 0
     };
     
@@ -230,6 +468,8 @@ async function scanAndUpdateDevices() {
         } else {
             if (result.macRequested) results.macRequested++;
             if (result.gpioRequested) results.gpioRequested++;
+            if (result.interlockRequested) results.interlockRequested++;
+            results.failedRequests += result.failedRequests;
         }
         
         // Small pause between devices
@@ -244,6 +484,8 @@ async function scanAndUpdateDevices() {
     logInfo(`Offline: ${results.offline}`);
     logInfo(`MAC addresses requested: ${results.macRequested}`);
     logInfo(`GPIO configs requested: ${results.gpioRequested}`);
+    logInfo(`Interlocks requested: ${results.interlockRequested}`);
+    logInfo(`Failed requests: ${results.failedRequests}`);
     logInfo(`Errors: ${results.errors}`);
     logInfo('='.repeat(60));
 }
@@ -0,0 +1,626 @@
+/*
+ * Sonoff to Zigbee2MQTT Bridge - Virtual Tasmota Devices
+ *
+ * Copyright (c) 2026 baetzst
+ *
+ * Licensed under the MIT License.
+ * You may obtain a copy of the License at:
+ * https://opensource.org/licenses/MIT
+ *
+ * Simulates Tasmota devices on MQTT to test the bridge and Matterbridge without hardware.
+ * Every device has its own MQTT connection and behaves like Tasmota on the native topics:
+ *
+ *   tele/<topic>/LWT, INFO1, STATE, SENSOR   Online/Offline, module/version, telemetry every telePeriod
+ *   cmnd/<topic>/POWERx, Dimmer, Backlog (with Delay), Status, Module, Template, State, PowerOnState,
+ *                PulseTimeX, LedState, Interlock, Restart → stat/<topic>/RESULT, POWERx, STATUSx
+ *
+ * The devices can connect to the broker of the standalone runtime (Sonoff_to_Z2M_standalone.js)
+ * or to the MQTT server of a test instance of the Sonoff adapter (e.g. sonoff.1, port 1884).
+ * They go offline and online on a schedule, and a scenario can send Zigbee2MQTT commands.
+ * All Zigbee2MQTT traffic and the commands received by the devices can be recorded as transcript.
+ *
+ * Requirements:
+ * - Node.js 18+
+ * - mqtt package: npm install mqtt
+ *
+ * Usage:
+ *   node Sonoff_Simulator.js --url mqtt://localhost:1883 [options]
+ *
+ *   --url <url>           Broker the simulated devices connect to (default mqtt://localhost:1883)
+ *   --z2m-url <url>       Broker of Zigbee2MQTT for scenario and transcript (default: same as --url)
+ *   --username, --password  Broker credentials (also MQTT_USERNAME, MQTT_PASSWORD)
+ *   --config <file>       JSON with { devices: [...], scenario: [...], z2mBaseTopic } (default: three example devices)
+ *   --transcript <file>   Write the recorded traffic as JSON lines
+ *   --duration <seconds>  Stop after this time (default: run until Ctrl+C)
+ *
+ * Device configuration (all fields optional except topic):
+ *   {
+ *       "topic": "sim_plug",                  // Tasmota topic (device folder in the Sonoff adapter)
+ *       "mac": "02:00:00:00:00:01",           // Default: derived from the position in the list
+ *       "module": "Gosund SP1",               // Module name (Info1_Module, Module, Template NAME)
+ *       "version": "14.2.0(tasmota)",         // Firmware version
+ *       "relays": 1,                          // Number of relays (0-4)
+ *       "dimmer": false,                      // PWM dimmer on the channel after the relays
+ *       "interlock": "1,2 3,4",               // Interlock ON with these groups (true = all relays), Default: OFF
+ *       "energy": { "power": 40, "voltage": 230 }, // Energy meter, power per relay when on
+ *       "sensors": { "AM2301": { "Temperature": 21.5, "Humidity": 45 } },
+ *       "template": { "NAME": ..., "GPIO": [...], "FLAG": 0, "BASE": 18 }, // Default: generated
+ *       "telePeriod": 10,                     // Telemetry interval (seconds)
+ *       "offline": { "every": 120, "for": 20 } // Go offline every 120 s for 20 s
+ *   }
+ *
+ * Scenario steps (seconds after start):
+ *   { "at": 10, "topic": "zigbee2mqtt/sim_plug/set", "payload": { "state": "ON" } }
+ *   { "at": 30, "device": "sim_plug", "offline": true, "for": 10 }    // "for" = back online after 10 s, or "online": true
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('./Sonoff_to_Z2M_standalone.js');
+
+// ==================== OPTIONS ====================
+
+const DEFAULTS = {
+    url: 'mqtt://localhost:1883',
+    z2mUrl: null,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    config: null,
+    transcript: null,
+    duration: null
+};
+
+/**
+ * Example devices: energy plug, dual relay with LED, temperature sensor with dimmer
+ */
+const EXAMPLE_CONFIG = {
+    z2mBaseTopic: 'zigbee2mqtt',
+    devices: [
+        { topic: 'sim_plug', module: 'Gosund SP1', relays: 1, energy: { power: 40 }, offline: { every: 300, for: 30 } },
+        { topic: 'sim_dual', module: 'Sonoff Dual R2', relays: 2 },
+        { topic: 'sim_sensor', module: 'Generic', relays: 0, dimmer: true, sensors: { AM2301: { Temperature: 21.5, Humidity: 45 } } }
+    ],
+    scenario: []
+};
+
+/**
+ * Template positions of an ESP8266 (GPIO0-5, 9, 10, 12-16, A0) used for generated templates
+ */
+const RELAY_POSITIONS = [8, 5, 4, 11];  // GPIO12, GPIO5, GPIO4, GPIO15
+const BUTTON_POSITION = 0;              // GPIO0
+const LED_POSITION = 9;                 // GPIO13
+const SENSOR_POSITION = 10;             // GPIO14
+const PWM_POSITION = 12;                // GPIO16
+
+/**
+ * GPIO codes of the current Tasmota component table (component * 32 + index - 1)
+ */
+const GPIO_CODES = {
+    button: 32,
+    relay: 224,
+    ledInverted: 320,
+    pwm: 416,
+    DHT11: 1184,
+    AM2301: 1216,
+    SI7021: 1248,
+    DS18x20: 1312
+};
+
+// ==================== TRANSCRIPT ====================
+
+/**
+ * Records MQTT traffic with the time since start as JSON lines
+ */
+class Transcript {
+    constructor(file) {
+        this.start = Date.now();
+        this.stream = file ? fs.createWriteStream(file) : null;
+    }
+
+    record(source, topic, payload) {
+        const entry = {
+            time: (Date.now() - this.start) / 1000,
+            source: source,
+            topic: topic,
+            payload: parsePayload(payload)
+        };
+        if (this.stream) {
+            this.stream.write(`${JSON.stringify(entry)}\n`);
+        }
+        console.log(`[${entry.time.toFixed(1).padStart(6)}] ${source.padEnd(7)} ${topic} ${typeof entry.payload === 'string' ? entry.payload : JSON.stringify(entry.payload)}`);
+    }
+
+    close(cb) {
+        if (this.stream) {
+            this.stream.end(cb);
+        } else {
+            cb();
+        }
+    }
+}
+
+function parsePayload(payload) {
+    const text = payload.toString();
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// ==================== SIMULATED DEVICE ====================
+
+/**
+ * Generates a template from relays, dimmer and sensors of the device configuration
+ */
+function generateTemplate(config) {
+    const gpio = new Array(14).fill(0);
+    gpio[BUTTON_POSITION] = GPIO_CODES.button;
+    gpio[LED_POSITION] = GPIO_CODES.ledInverted;
+    for (let i = 0; i < Math.min(config.relays, RELAY_POSITIONS.length); i++) {
+        gpio[RELAY_POSITIONS[i]] = GPIO_CODES.relay + i;
+    }
+    const sensor = Object.keys(config.sensors || {}).find(name => GPIO_CODES[name]);
+    if (sensor) {
+        gpio[SENSOR_POSITION] = GPIO_CODES[sensor];
+    }
+    if (config.dimmer) {
+        gpio[PWM_POSITION] = GPIO_CODES.pwm;
+    }
+    return { NAME: config.module, GPIO: gpio, FLAG: 0, BASE: 18 };
+}
+
+/**
+ * Adds a random deviation of up to ±percent to a value
+ */
+function jitter(value, percent) {
+    const result = value * (1 + (Math.random() * 2 - 1) * percent / 100);
+    return Math.round(result * 10) / 10;
+}
+
+class SimulatedDevice {
+    constructor(config, index, options, transcript) {
+        const number = (index + 1).toString(16).padStart(4, '0');
+        this.config = {
+            module: 'Generic',
+            version: '14.2.0(tasmota)',
+            relays: 1,
+            dimmer: false,
+            telePeriod: 10,
+            mac: `02:00:00:00:${number.substring(0, 2)}:${number.substring(2)}`.toUpperCase(),
+            ...config
+        };
+        this.config.template = this.config.template || generateTemplate(this.config);
+        this.options = options;
+        this.transcript = transcript;
+        this.topic = this.config.topic;
+
+        // Channels: relays, then the dimmer (POWER without index if there is only one)
+        this.channels = this.config.relays + (this.config.dimmer ? 1 : 0);
+        this.power = new Array(this.channels).fill(false);
+        this.dimmer = 100;
+        this.powerOnState = 3;
+        this.pulseTimes = new Array(this.channels).fill(0);
+        this.pulseTimers = [];
+        this.backlog = [];            // Queued Backlog commands ([name, payload])
+        this.backlogTimer = null;     // Running Delay of the Backlog
+        this.ledState = 1;
+        this.interlock = !!this.config.interlock;
+        this.interlockGroups = typeof this.config.interlock === 'string' ? this.config.interlock : '';
+        this.energyTotal = 0;
+        this.uptime = 0;
+
+        this.client = null;
+        this.teleTimer = null;
+        this.offlineTimer = null;
+    }
+
+    powerName(channel) {
+        return this.channels === 1 ? 'POWER' : `POWER${channel}`;
+    }
+
+    publish(kind, name, payload, retain = false) {
+        const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        this.client.publish(`${kind}/${this.topic}/${name}`, message, { retain: retain });
+    }
+
+    // -------------------- Connection --------------------
+
+    connect() {
+        const mqtt = require('mqtt');
+        this.client = mqtt.connect(this.options.url, {
+            clientId: `DVES_${this.config.mac.replace(/:/g, '').substring(6)}`,
+            username: this.options.username,
+            password: this.options.password,
+            will: { topic: `tele/${this.topic}/LWT`, payload: 'Offline', retain: true }
+        });
+        this.client.on('connect', () => this.handleConnect());
+        this.client.on('message', (topic, payload) => this.handleCommand(topic.split('/').pop(), payload.toString()));
+        this.client.on('error', e => console.error(`[ERROR] ${this.topic}: ${e.message}`));
+    }
+
+    /**
+     * Boot messages like Tasmota: LWT, INFO1, then the first telemetry
+     */
+    handleConnect() {
+        this.client.subscribe(`cmnd/${this.topic}/#`);
+        this.publish('tele', 'LWT', 'Online', true);
+        this.publish('tele', 'INFO1', { Info1: { Module: this.config.module, Version: this.config.version, FallbackTopic: `cmnd/DVES_${this.topic}_fb/`, GroupTopic: 'cmnd/tasmotas/' } });
+        this.sendTelemetry();
+
+        clearInterval(this.teleTimer);
+        this.teleTimer = setInterval(() => {
+            this.uptime += this.config.telePeriod;
+            this.sendTelemetry();
+        }, this.config.telePeriod * 1000);
+    }
+
+    /**
+     * Goes offline (LWT Offline like a lost connection) and comes back after the given time,
+     * a restart also applies PowerOnState to the relays
+     */
+    goOffline(seconds, restart = false) {
+        if (!this.client || !this.client.connected) return;
+        this.transcript.record('sim', `${this.topic} offline`, seconds ? `for ${seconds}s` : '');
+        clearInterval(this.teleTimer);
+        this.publish('tele', 'LWT', 'Offline', true);
+        this.client.end(false, () => {
+            this.client = null;
+            if (seconds) {
+                this.offlineTimer = setTimeout(() => this.goOnline(restart), seconds * 1000);
+            }
+        });
+    }
+
+    goOnline(restart = false) {
+        if (this.client) return;
+        clearTimeout(this.offlineTimer);
+        this.transcript.record('sim', `${this.topic} online`, '');
+        if (restart) {
+            this.applyPowerOnState();
+            this.uptime = 0;
+        }
+        this.connect();
+    }
+
+    /**
+     * Starts the device and its offline schedule
+     */
+    start() {
+        this.connect();
+        const offline = this.config.offline;
+        if (offline && offline.every > 0) {
+            this.scheduleTimer = setInterval(() => this.goOffline(offline.for || 10), offline.every * 1000);
+        }
+    }
+
+    stop(cb) {
+        clearInterval(this.scheduleTimer);
+        clearInterval(this.teleTimer);
+        clearTimeout(this.offlineTimer);
+        clearTimeout(this.backlogTimer);
+        this.pulseTimers.forEach(timer => clearTimeout(timer));
+        if (!this.client) return cb();
+        this.publish('tele', 'LWT', 'Offline', true);
+        this.client.end(false, cb);
+    }
+
+    /**
+     * Relay states after a (simulated) power cycle
+     */
+    applyPowerOnState() {
+        if (this.powerOnState === 0) this.power.fill(false);
+        if (this.powerOnState === 1) this.power.fill(true);
+        if (this.powerOnState === 2) this.power = this.power.map(on => !on);
+    }
+
+    // -------------------- Telemetry --------------------
+
+    stateJson() {
+        const state = { Time: new Date().toISOString().substring(0, 19), Uptime: `0T00:00:${this.uptime}`, UptimeSec: this.uptime };
+        for (let i = 1; i <= this.channels; i++) {
+            state[this.powerName(i)] = this.power[i - 1] ? 'ON' : 'OFF';
+        }
+        if (this.config.dimmer) {
+            state.Dimmer = this.dimmer;
+        }
+        state.Wifi = { AP: 1, SSId: 'simulator', RSSI: 76, Signal: -62, LinkCount: 1 };
+        return state;
+    }
+
+    sensorJson() {
+        const sensor = { Time: new Date().toISOString().substring(0, 19) };
+        Object.keys(this.config.sensors || {}).forEach(name => {
+            const values = this.config.sensors[name];
+            sensor[name] = {};
+            Object.keys(values).forEach(key => { sensor[name][key] = jitter(values[key], 2); });
+        });
+        if (this.config.energy) {
+            const energy = this.config.energy === true ? {} : this.config.energy;
+            const switchedOn = this.power.slice(0, Math.max(this.config.relays, 1)).filter(on => on).length;
+            const power = switchedOn ? jitter((energy.power || 10) * switchedOn, 5) : 0;
+            const voltage = jitter(energy.voltage || 230, 1);
+            this.energyTotal += power * this.config.telePeriod / 3600000;
+            sensor.ENERGY = {
+                TotalStartTime: '2026-01-01T00:00:00',
+                Total: Math.round(this.energyTotal * 1000) / 1000,
+                Yesterday: 0,
+                Today: Math.round(this.energyTotal * 1000) / 1000,
+                Power: power,
+                ApparentPower: power,
+                ReactivePower: 0,
+                Factor: power ? 1 : 0,
+                Voltage: voltage,
+                Current: Math.round(power / voltage * 1000) / 1000
+            };
+        }
+        return sensor;
+    }
+
+    sendTelemetry() {
+        this.publish('tele', 'STATE', this.stateJson());
+        if (this.config.energy || this.config.sensors) {
+            this.publish('tele', 'SENSOR', this.sensorJson());
+        }
+    }
+
+    // -------------------- Commands --------------------
+
+    /**
+     * Executes a command (Backlog: several commands separated by ';', queued behind a running Delay;
+     * Backlog without commands clears the queue)
+     */
+    handleCommand(command, payload) {
+        this.transcript.record('tasmota', `cmnd/${this.topic}/${command}`, payload);
+        if (command.toLowerCase() === 'backlog') {
+            const commands = payload.split(';').map(part => part.trim()).filter(part => part);
+            if (commands.length === 0) {
+                this.backlog = [];
+                clearTimeout(this.backlogTimer);
+                this.backlogTimer = null;
+                return;
+            }
+            commands.forEach(part => {
+                const [name, ...value] = part.split(/\s+/);
+                this.backlog.push([name, value.join(' ')]);
+            });
+            this.runBacklog();
+            return;
+        }
+        this.execute(command, payload);
+    }
+
+    /**
+     * Executes the queued Backlog commands, "Delay <x>" waits x * 0.1 s
+     */
+    runBacklog() {
+        while (!this.backlogTimer && this.backlog.length > 0) {
+            const [name, payload] = this.backlog.shift();
+            if (name.toLowerCase() === 'delay') {
+                this.backlogTimer = setTimeout(() => {
+                    this.backlogTimer = null;
+                    this.runBacklog();
+                }, (parseInt(payload, 10) || 0) * 100);
+            } else {
+                this.execute(name, payload);
+            }
+        }
+    }
+
+    execute(command, payload) {
+        const name = command.toLowerCase();
+        const index = parseInt((name.match(/(\d+)$/) || [])[1] || '1', 10);
+
+        if (/^power\d*$/.test(name)) {
+            this.setPower(index, payload);
+        } else if (name === 'dimmer' && this.config.dimmer) {
+            if (payload !== '') {
+                this.dimmer = Math.max(0, Math.min(100, parseInt(payload, 10) || 0));
+                this.power[this.channels - 1] = this.dimmer > 0;
+            }
+            this.publish('stat', 'RESULT', { [this.powerName(this.channels)]: this.power[this.channels - 1] ? 'ON' : 'OFF', Dimmer: this.dimmer });
+        } else if (name === 'status') {
+            this.sendStatus(parseInt(payload || '0', 10) || 0);
+        } else if (name === 'state') {
+            this.publish('stat', 'RESULT', this.stateJson());
+        } else if (name === 'module') {
+            this.publish('stat', 'RESULT', { Module: { [this.config.template.BASE]: this.config.module } });
+        } else if (name === 'template') {
+            this.publish('stat', 'RESULT', this.config.template);
+        } else if (name === 'poweronstate') {
+            if (payload !== '') this.powerOnState = parseInt(payload, 10);
+            this.publish('stat', 'RESULT', { PowerOnState: this.powerOnState });
+        } else if (/^pulsetime\d*$/.test(name) && index <= this.channels) {
+            if (payload !== '') {
+                // Like Tasmota, a new PulseTime stops the running pulse of the relay
+                this.pulseTimes[index - 1] = parseInt(payload, 10) || 0;
+                clearTimeout(this.pulseTimers[index - 1]);
+            }
+            const set = this.pulseTimes[index - 1];
+            this.publish('stat', 'RESULT', { [`PulseTime${index}`]: { Set: set, Remaining: 0 } });
+        } else if (name === 'interlock') {
+            this.setInterlock(payload);
+        } else if (name === 'ledstate') {
+            if (payload !== '') this.ledState = parseInt(payload, 10);
+            this.publish('stat', 'RESULT', { LedState: this.ledState });
+        } else if (name === 'restart' && payload === '1') {
+            this.publish('stat', 'RESULT', { Restart: 'Restarting' });
+            this.backlog = [];
+            clearTimeout(this.backlogTimer);
+            this.backlogTimer = null;
+            this.goOffline(5, true);
+        } else {
+            this.publish('stat', 'RESULT', { Command: 'Unknown' });
+        }
+    }
+
+    /**
+     * POWERx ON/OFF/TOGGLE (1/0/2), empty payload queries the state; PulseTime turns it off again
+     */
+    setPower(channel, payload) {
+        if (channel < 1 || channel > this.channels) {
+            this.publish('stat', 'RESULT', { Command: 'Unknown' });
+            return;
+        }
+        const value = payload.toUpperCase();
+        const on = value === 'ON' || value === '1' || ((value === 'TOGGLE' || value === '2') && !this.power[channel - 1]);
+        if (on) {
+            this.interlockedChannels(channel).filter(other => this.power[other - 1]).forEach(other => this.setPower(other, 'OFF'));
+        }
+        if (value === 'ON' || value === '1') this.power[channel - 1] = true;
+        if (value === 'OFF' || value === '0') this.power[channel - 1] = false;
+        if (value === 'TOGGLE' || value === '2') this.power[channel - 1] = !this.power[channel - 1];
+
+        const name = this.powerName(channel);
+        const state = this.power[channel - 1] ? 'ON' : 'OFF';
+        this.publish('stat', 'RESULT', { [name]: state });
+        this.publish('stat', name, state);
+
+        clearTimeout(this.pulseTimers[channel - 1]);
+        const pulseTime = this.pulseTimes[channel - 1];
+        if (this.power[channel - 1] && pulseTime > 0) {
+            const seconds = pulseTime <= 111 ? pulseTime / 10 : pulseTime - 100;
+            this.pulseTimers[channel - 1] = setTimeout(() => this.setPower(channel, 'OFF'), seconds * 1000);
+        }
+    }
+
+    /**
+     * Interlock 0/1 (OFF/ON) or groups ("1,2 3,4", enables it), empty payload queries the setting
+     */
+    setInterlock(payload) {
+        const value = payload.toUpperCase();
+        if (value === '0' || value === 'OFF') {
+            this.interlock = false;
+        } else if (value === '1' || value === 'ON') {
+            this.interlock = true;
+        } else if (/^\d/.test(value)) {
+            this.interlockGroups = payload.trim();
+            this.interlock = true;
+        }
+        const relays = Array.from({ length: this.config.relays }, (v, i) => i + 1).join(',');
+        this.publish('stat', 'RESULT', this.interlock ? { Interlock: 'ON', Groups: this.interlockGroups || relays } : { Interlock: 'OFF' });
+    }
+
+    /**
+     * Other relays in the interlock group of a relay, switched off before it turns on
+     */
+    interlockedChannels(channel) {
+        if (!this.interlock || channel > this.config.relays) return [];
+        const groups = this.interlockGroups
+            ? this.interlockGroups.split(/\s+/).map(group => group.split(',').map(n => parseInt(n, 10)))
+            : [Array.from({ length: this.config.relays }, (v, i) => i + 1)];
+        const group = groups.find(g => g.includes(channel)) || [];
+        return group.filter(other => other !== channel && other <= this.config.relays);
+    }
+
+    /**
+     * Status 0 (all sections) or a single section (Status 5 = network, ...)
+     */
+    sendStatus(number) {
+        const sections = {
+            1: ['Status', { Module: this.config.template.BASE, DeviceName: this.config.module, FriendlyName: [this.topic], Topic: this.topic, ButtonTopic: '0', Power: this.power.reduce((bits, on, i) => bits | (on ? 1 << i : 0), 0), PowerOnState: this.powerOnState, LedState: this.ledState }],
+            2: ['StatusFWR', { Version: this.config.version, BuildDateTime: '2026-01-01T00:00:00', Boot: 31, Core: '2_7_7', SDK: '2.2.2-dev(38a443e)', Hardware: 'ESP8266EX' }],
+            5: ['StatusNET', { Hostname: `${this.topic}`, IPAddress: '127.0.0.1', Gateway: '127.0.0.1', Subnetmask: '255.255.255.0', Mac: this.config.mac }],
+            10: ['StatusSNS', this.sensorJson()],
+            11: ['StatusSTS', this.stateJson()]
+        };
+        if (number === 0) {
+            const status = {};
+            Object.keys(sections).forEach(key => { status[sections[key][0]] = sections[key][1]; });
+            this.publish('stat', 'STATUS0', status);
+        } else if (sections[number]) {
+            this.publish('stat', `STATUS${number}`, { [sections[number][0]]: sections[number][1] });
+        } else {
+            this.publish('stat', 'STATUS', { Status: sections[1][1] });
+        }
+    }
+}
+
+// ==================== SCENARIO ====================
+
+/**
+ * Runs the scenario steps: Zigbee2MQTT messages and device offline/online changes
+ */
+function runScenario(steps, z2mClient, devices, transcript) {
+    return (steps || []).map(step => setTimeout(() => {
+        if (step.topic) {
+            const payload = typeof step.payload === 'string' ? step.payload : JSON.stringify(step.payload || {});
+            transcript.record('test', step.topic, payload);
+            z2mClient.publish(step.topic, payload);
+            return;
+        }
+        const device = devices.find(d => d.topic === step.device);
+        if (!device) {
+            console.error(`[ERROR] Scenario: unknown device ${step.device}`);
+        } else if (step.offline) {
+            device.goOffline(step.for || 0);
+        } else if (step.online) {
+            device.goOnline();
+        }
+    }, (step.at || 0) * 1000));
+}
+
+// ==================== START ====================
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), DEFAULTS);
+    const mqtt = require('mqtt');
+    const config = options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : EXAMPLE_CONFIG;
+    const base = config.z2mBaseTopic || 'zigbee2mqtt';
+    const transcript = new Transcript(options.transcript);
+
+    const topics = new Set();
+    const devices = (config.devices || []).map((deviceConfig, i) => {
+        if (!deviceConfig.topic || topics.has(deviceConfig.topic)) {
+            throw new Error(`Device ${i + 1}: missing or duplicate topic '${deviceConfig.topic}'`);
+        }
+        topics.add(deviceConfig.topic);
+        return new SimulatedDevice(deviceConfig, i, options, transcript);
+    });
+
+    // Zigbee2MQTT side: record everything the bridge publishes, send the scenario
+    const z2mClient = mqtt.connect(options.z2mUrl || options.url, {
+        username: options.username,
+        password: options.password,
+        clientId: `sonoff-simulator-${Math.random().toString(16).substring(2, 8)}`
+    });
+    z2mClient.on('error', e => console.error(`[ERROR] MQTT ${options.z2mUrl || options.url}: ${e.message}`));
+    z2mClient.on('message', (topic, payload) => transcript.record('z2m', topic, payload));
+    z2mClient.once('connect', () => {
+        z2mClient.subscribe(`${base}/#`);
+        console.log(`[INFO] Simulating ${devices.length} device(s): ${devices.map(d => d.topic).join(', ')}`);
+        devices.forEach(device => device.start());
+        runScenario(config.scenario, z2mClient, devices, transcript);
+    });
+
+    let stopping = false;
+    const stop = () => {
+        if (stopping) return;
+        stopping = true;
+        let pending = devices.length;
+        const done = () => {
+            if (--pending > 0) return;
+            z2mClient.end(false, () => transcript.close(() => process.exit(0)));
+        };
+        pending++;
+        devices.forEach(device => device.stop(done));
+        done();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    if (options.duration) {
+        setTimeout(stop, parseFloat(options.duration) * 1000);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (e) {
+        console.error(`[ERROR] ${e.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { SimulatedDevice, generateTemplate };
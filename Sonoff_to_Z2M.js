@@ -23,12 +23,17 @@ const CONFIG = {
     // Adapter instances
     sonoffAdapter: 'sonoff.0',       // Sonoff Adapter instance (CHANGE THIS!)
     mqttAdapter: 'mqtt.4',           // MQTT Client Adapter instance (CHANGE THIS!)
+    tasmotaMqttAdapter: 'mqtt.5',    // MQTT Client Adapter on the Tasmota broker for commands without datapoint (null = disabled)
+    commandTimeout: 5,               // Wait for the stat/<topic>/RESULT confirmation of identify/restart (seconds)
+    powerConfirmTimeout: 3,          // Wait for the acknowledged POWERx update after a state command (seconds)
+    powerRetries: 2,                 // Resend an unconfirmed state command, then roll back and mark the device unavailable
     z2mBaseTopic: 'zigbee2mqtt',     // Emulated Zigbee2MQTT base topic
    
     // Bridge settings
     bridgeVersion: '1.39.0',         // Emulated Z2M version
     bridgeCommit: 'sonoff-bridge',   // Commit hash
-    refreshInterval: 60,             // How often bridge/devices info should be republished (seconds)
+    discoveryDelay: 3,               // Wait for all objects of a new/changed device before (re)registering it (seconds)
+    lastSeen: 'ISO_8601',            // last_seen format: 'disable', 'ISO_8601', 'ISO_8601_local' or 'epoch'
     
     // Fake coordinator information
     coordinatorIeee: '0x00dead0beef0babe',
@@ -36,12 +41,65 @@ const CONFIG = {
     coordinatorvendor: 'Sonoff',
     coordinatordescription: 'Sonoff to Zigbee2MQTT Virtual Bridge Coordinator',
     
+    // Persistence of renames, device options and bridge options (JSON state)
+    settingsState: '0_userdata.0.Sonoff2Z2M.settings',
+    
+    // Persistence of the device registry and the last device states (JSON state, null = disabled)
+    // Known devices stay registered after a restart and are reported offline until the Sonoff adapter sees them
+    registryState: '0_userdata.0.Sonoff2Z2M.registry',
+    registrySaveDelay: 10,           // Delay before writing changes to registryState (seconds)
+    
+    // Per-device overrides, keyed by MAC or Sonoff adapter name:
+    // exclude, friendly_name, model, vendor, description,
+    // relay_types ({ l1: 'switch' | 'light' | 'outlet' }), endpoint_names ({ l1: 'left', l2: 'right' }),
+    // identify_relay (true = identify blinks the first relay of a device without LED)
+    devices: {
+        // 'AA:BB:CC:DD:EE:FF': { exclude: true },
+        // 'GardenDual': { friendly_name: 'Garden', relay_types: { l1: 'light' }, endpoint_names: { l1: 'lamp', l2: 'pump' } }
+    },
+    
+    // Z2M groups of Sonoff relays/lights, members: 'Device' or 'Device/l2' (Sonoff or Z2M name, IEEE or MAC)
+    // Groups added/changed via bridge/request/group/* are persisted in settingsState
+    groups: [
+        // { id: 1, friendly_name: 'Garden lights', members: ['GardenPlug', 'GardenDual/l2'] }
+    ],
+    
+    // Emulated OTA updates (bridge/request/device/ota_update/check|update → OtaUrl + Upgrade 1)
+    // Target from version/url or from a release manifest on a local web server (see README)
+    ota: {
+        version: null,               // Target Tasmota version, e.g. '14.3.0' (null = use manifest)
+        url: 'http://ota.tasmota.com/tasmota/release/tasmota.bin.gz', // OtaUrl of the target version
+        manifest: null,              // URL of a release manifest, e.g. 'http://192.168.1.10/tasmota/manifest.json'
+        timeout: 600                 // Max. duration of an update until the device reports the new version (seconds)
+    },
+    
+    // Raw Tasmota templates stored by the Data Updater (one JSON state per device)
+    templateStates: '0_userdata.0.Sonoff2Z2M.templates',
+    // Interlock replies stored by the Data Updater ({"Interlock":"ON","Groups":"1,2 3,4"}, null = disabled)
+    interlockStates: '0_userdata.0.Sonoff2Z2M.interlock',
+    
+    // Multiple Sonoff adapters and/or emulated bridges (null = one of each from the settings above, see README)
+    // Sonoff adapter instances: 'sonoff.1' or { adapter, tasmotaMqttAdapter, templateStates, interlockStates }
+    sources: null,
+    // sources: ['sonoff.0', { adapter: 'sonoff.1', tasmotaMqttAdapter: 'mqtt.6', templateStates: '0_userdata.0.Sonoff2Z2M.templates_1' }],
+    // Emulated bridges: { z2mBaseTopic, mqttAdapter, sources, coordinatorIeee, settingsState, registryState, groups }
+    bridges: null,
+    // bridges: [{ z2mBaseTopic: 'zigbee2mqtt', sources: ['sonoff.0'] }, { z2mBaseTopic: 'zigbee2mqtt_garden', sources: ['sonoff.1'] }],
+    
     // Logging
     debug: false,                    // Enable debug output
 };
 // ==================== GLOBAL VARIABLES ====================
-let sonoffDevices = new Map(); // Map<MAC, DeviceInfo>
+let sonoffDevices = new Map(); // Map<MAC, DeviceInfo> of all sources
 let initialized = false;
+let sources = new Map(); // Map<Sonoff adapter, Source> (see createInstances)
+let bridges = []; // Emulated bridges with their own settings, registry, groups and retained topics
+let pendingDiscoveries = new Map(); // Map<adapter.friendlyName, timer> for hot-plug discovery
+let pendingResults = new Set(); // Tasmota commands waiting for their stat/<topic>/RESULT confirmation
+let pendingPowerCommands = new Map(); // Map<MAC/relay, command> of state commands waiting for the acknowledged POWERx update
+let pendingStatePublishes = new Map(); // Map<MAC, timer> collecting a burst of updates (RESULT replies, telemetry) into one publish
+let tasmotaTopics = new Map(); // Map<MQTT adapter/Tasmota topic, MAC> for stat/<topic>/RESULT
+let queriedSettings = new Set(); // MACs whose relay settings were queried since they came online
 // ==================== HELPER FUNCTIONS ====================
 /**
  * Logging functions
@@ -52,6 +110,9 @@ function logDebug(msg) {
 function logInfo(msg) {
     console.log(`[INFO] ${msg}`);
 }
+function logWarn(msg) {
+    console.warn(`[WARN] ${msg}`);
+}
 function logError(msg) {
     console.error(`[ERROR] ${msg}`);
 }
@@ -63,6 +124,12 @@ function macToIeee(mac) {
     const cleanMac = mac.replace(/:/g, '').toLowerCase();
     return `0x0000${cleanMac}`;
 }
+/**
+ * Escapes an object id part (e.g. "sonoff.0") for use in a RegExp
+ */
+function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 /**
  * Safely reads a state value
  */
@@ -71,582 +138,4255 @@ function getStateValue(stateId) {
     return state ? state.val : null;
 }
 /**
- * Parses GPIO configuration and counts relays
- * Relay values: 224-251 (Relay1-28) and 256-283 (Relay_i1-28)
+ * Converts Tasmota Wi-Fi telemetry to a Zigbee link quality (0-255)
+ * Wifi_RSSI is the signal quality in percent, Wifi_Signal the signal strength in dBm
+ */
+function wifiToLinkquality(rssi, signal) {
+    let quality = parseFloat(rssi);
+    if (isNaN(quality)) {
+        const dbm = parseFloat(signal);
+        if (isNaN(dbm)) return null;
+        quality = 2 * (dbm + 100);
+    }
+    return Math.round(Math.max(0, Math.min(100, quality)) * 255 / 100);
+}
+/**
+ * Formats a last_seen timestamp as configured in advanced.last_seen
+ * Returns null if last_seen is disabled
  */
-function parseGPIOs(friendlyName) {
-    let relayCount = 0;
-    const relayGPIOs = [];
+function formatLastSeen(bridge, ts) {
+    const format = (bridge.settings.bridge.advanced || {}).last_seen || CONFIG.lastSeen;
+    if (!ts || format === 'disable') return null;
    
-    // First check which GPIO states exist
-    const gpioPattern = `${CONFIG.sonoffAdapter}.${friendlyName}.GPIO_*`;
-    const gpioStates = $(gpioPattern);
+    if (format === 'epoch') return ts;
    
-    gpioStates.each((stateId) => {
-        const value = getStateValue(stateId);
-       
-        if (value !== null) {
-            // Relay1-28 (224-251) or Relay_i1-28 (256-283)
-            if ((value >= 224 && value <= 251) || (value >= 256 && value <= 283)) {
-                relayCount++;
-                const gpioNum = stateId.split('.').pop().replace('GPIO_', '');
-                relayGPIOs.push({gpio: gpioNum, value: value});
-            }
+    const date = new Date(ts);
+    if (format === 'ISO_8601_local') {
+        const offset = -date.getTimezoneOffset();
+        const pad = n => String(Math.floor(Math.abs(n))).padStart(2, '0');
+        const local = new Date(ts + offset * 60000).toISOString().replace('Z', '');
+        return `${local}${offset >= 0 ? '+' : '-'}${pad(offset / 60)}:${pad(offset % 60)}`;
+    }
+    return date.toISOString();
+}
+// ==================== INSTANCES ====================
+/**
+ * Derives the coordinator IEEE of an additional bridge from CONFIG.coordinatorIeee
+ */
+function deriveCoordinatorIeee(index) {
+    const last = (parseInt(CONFIG.coordinatorIeee.slice(-2), 16) + index) & 0xff;
+    return `${CONFIG.coordinatorIeee.slice(0, -2)}${last.toString(16).padStart(2, '0')}`;
+}
+/**
+ * Builds the sources and bridges from CONFIG.sources/CONFIG.bridges
+ * Without them, one bridge on CONFIG.z2mBaseTopic serves CONFIG.sonoffAdapter.
+ * Additional bridges get their own coordinator IEEE and settings/registry states (suffixed with the base topic).
+ * Throws if two bridges would collide (base topic, coordinator IEEE, states) or a source is assigned twice.
+ */
+function createInstances() {
+    const sourceMap = new Map();
+    (CONFIG.sources || [CONFIG.sonoffAdapter]).forEach((entry) => {
+        const source = typeof entry === 'string' ? { adapter: entry } : { ...entry };
+        if (!/^[\w-]+\.\d+$/.test(source.adapter || '')) throw new Error(`Invalid Sonoff adapter "${source.adapter}"`);
+        if (sourceMap.has(source.adapter)) throw new Error(`Sonoff adapter ${source.adapter} is configured twice`);
+        const primary = source.adapter === CONFIG.sonoffAdapter;
+        if (source.tasmotaMqttAdapter === undefined) source.tasmotaMqttAdapter = primary ? CONFIG.tasmotaMqttAdapter : null;
+        if (!source.templateStates) source.templateStates = primary ? CONFIG.templateStates : `${CONFIG.templateStates}_${source.adapter.replace('.', '_')}`;
+        if (source.interlockStates === undefined) {
+            source.interlockStates = primary || !CONFIG.interlockStates ? CONFIG.interlockStates : `${CONFIG.interlockStates}_${source.adapter.replace('.', '_')}`;
         }
+        source.bridge = null;
+        sourceMap.set(source.adapter, source);
     });
-   
-    if (relayGPIOs.length > 0) {
-        logDebug(`Found ${relayCount} relay(s) for ${friendlyName}: ${JSON.stringify(relayGPIOs)}`);
+    
+    const bridgeList = (CONFIG.bridges || [{}]).map((entry, index) => {
+        const baseTopic = entry.z2mBaseTopic || (index === 0 ? CONFIG.z2mBaseTopic : null);
+        if (!baseTopic) throw new Error(`Bridge ${index + 1} has no z2mBaseTopic`);
+        const suffix = index === 0 ? '' : `_${baseTopic.replace(/[^\w-]/g, '_')}`;
+        return {
+            baseTopic,
+            mqttAdapter: entry.mqttAdapter || CONFIG.mqttAdapter,
+            coordinatorIeee: (entry.coordinatorIeee || (index === 0 ? CONFIG.coordinatorIeee : deriveCoordinatorIeee(index))).toLowerCase(),
+            settingsState: entry.settingsState || `${CONFIG.settingsState}${suffix}`,
+            registryState: entry.registryState !== undefined ? entry.registryState : (CONFIG.registryState && `${CONFIG.registryState}${suffix}`),
+            groups: entry.groups || (index === 0 ? CONFIG.groups : []),
+            sources: entry.sources || null,
+            settings: { devices: {}, bridge: {}, groups: {} }, // Persisted settings (devices keyed by MAC, groups by id)
+            permitJoin: { value: false, end: null, timer: null },
+            groupStates: new Map(),       // Map<group id, last published state>
+            retainedTopics: new Map(),    // Map<topic, last published payload> of the retained bridge/* topics
+            registrySaveTimer: null       // Pending registry write
+        };
+    });
+    
+    bridgeList.filter(bridge => bridge.sources).forEach((bridge) => {
+        bridge.sources.forEach((adapter) => {
+            const source = sourceMap.get(adapter);
+            if (!source) throw new Error(`Bridge ${bridge.baseTopic} uses unknown Sonoff adapter ${adapter}`);
+            if (source.bridge) throw new Error(`Sonoff adapter ${adapter} is assigned to ${source.bridge.baseTopic} and ${bridge.baseTopic}`);
+            source.bridge = bridge;
+        });
+    });
+    // A bridge without a source list serves all remaining sources
+    bridgeList.filter(bridge => !bridge.sources).forEach((bridge) => {
+        sourceMap.forEach((source) => {
+            if (!source.bridge) source.bridge = bridge;
+        });
+    });
+    sourceMap.forEach((source, adapter) => {
+        if (source.bridge) return;
+        logWarn(`Sonoff adapter ${adapter} is not assigned to a bridge and will be ignored`);
+        sourceMap.delete(adapter);
+    });
+    
+    const used = new Map();
+    bridgeList.forEach((bridge) => {
+        bridge.sources = Array.from(sourceMap.values()).filter(source => source.bridge === bridge);
+        if (bridge.sources.length === 0) logWarn(`Bridge ${bridge.baseTopic} has no Sonoff adapter`);
+        
+        [
+            ['Base topic', `${bridge.baseTopic} on ${bridge.mqttAdapter}`],
+            ['Coordinator IEEE', bridge.coordinatorIeee],
+            ['Settings state', bridge.settingsState],
+            ['Registry state', bridge.registryState]
+        ].forEach(([name, value]) => {
+            if (!value) return;
+            const other = used.get(`${name}:${value}`);
+            if (other) throw new Error(`${name} ${value} is used by bridges ${other.baseTopic} and ${bridge.baseTopic}`);
+            used.set(`${name}:${value}`, bridge);
+        });
+    });
+    return { sources: sourceMap, bridges: bridgeList };
+}
+/**
+ * Returns the source (Sonoff adapter) and the bridge of a device
+ */
+function sourceOf(device) {
+    return sources.get(device.source);
+}
+function bridgeOf(device) {
+    const source = sources.get(device.source);
+    return source ? source.bridge : null;
+}
+/**
+ * Returns all devices of a bridge
+ */
+function bridgeDevices(bridge) {
+    return Array.from(sonoffDevices.values()).filter(dev => bridgeOf(dev) === bridge);
+}
+/**
+ * Tasmota GPIO component table (Tasmota 9.1+), code = component * 32 + index - 1
+ */
+const GPIO_COMPONENTS = {
+    1: { type: 'button' },                                  // Button (32)
+    2: { type: 'button', pullup: false },                   // Button_n (64)
+    3: { type: 'button', inverted: true },                  // Button_i (96)
+    4: { type: 'button', inverted: true, pullup: false },   // Button_in (128)
+    5: { type: 'switch' },                                  // Switch (160)
+    6: { type: 'switch', pullup: false },                   // Switch_n (192)
+    7: { type: 'relay' },                                   // Relay (224)
+    8: { type: 'relay', inverted: true },                   // Relay_i (256)
+    9: { type: 'led' },                                     // Led (288)
+    10: { type: 'led', inverted: true },                    // Led_i (320)
+    11: { type: 'counter' },                                // Counter (352)
+    12: { type: 'counter', pullup: false },                 // Counter_n (384)
+    13: { type: 'pwm' },                                    // PWM (416)
+    14: { type: 'pwm', inverted: true },                    // PWM_i (448)
+    17: { type: 'led', link: true },                        // LedLink (544)
+    18: { type: 'led', link: true, inverted: true },        // LedLink_i (576)
+    19: { type: 'i2c' },                                    // I2C SCL (608)
+    20: { type: 'i2c' },                                    // I2C SDA (640)
+    37: { type: 'sensor', sensor: 'DHT11' },                // DHT11 (1184)
+    38: { type: 'sensor', sensor: 'AM2301' },               // AM2301 (1216)
+    39: { type: 'sensor', sensor: 'SI7021' },               // SI7021 (1248)
+    40: { type: 'sensor', sensor: 'DHT11' },                // DHT11_o (1280)
+    41: { type: 'sensor', sensor: 'DS18x20' },              // DS18x20 (1312)
+    42: { type: 'sensor', sensor: 'DS18x20' },              // DS18x20_o (1344)
+    43: { type: 'ws2812' },                                 // WS2812 (1376)
+    300: { type: 'relay', bistable: true },                 // Relay_b (9600)
+    301: { type: 'relay', bistable: true, inverted: true }  // Relay_bi (9632)
+};
+/**
+ * Legacy Tasmota GPIO component table (before 9.1): [first code, last code, component]
+ */
+const GPIO_LEGACY_COMPONENTS = [
+    [1, 1, { type: 'sensor', sensor: 'DHT11' }],
+    [2, 2, { type: 'sensor', sensor: 'AM2301' }],
+    [3, 3, { type: 'sensor', sensor: 'SI7021' }],
+    [4, 4, { type: 'sensor', sensor: 'DS18x20' }],
+    [5, 6, { type: 'i2c' }],
+    [7, 7, { type: 'ws2812' }],
+    [9, 16, { type: 'switch' }],
+    [17, 20, { type: 'button' }],
+    [21, 28, { type: 'relay' }],
+    [29, 36, { type: 'relay', inverted: true }],
+    [37, 41, { type: 'pwm' }],
+    [42, 45, { type: 'counter' }],
+    [46, 50, { type: 'pwm', inverted: true }],
+    [52, 55, { type: 'led' }],
+    [56, 59, { type: 'led', inverted: true }],
+    [82, 89, { type: 'switch', pullup: false }],
+    [90, 93, { type: 'button', pullup: false }]
+];
+/**
+ * GPIO numbers of the template positions of ESP8266 devices (GPIO0-5, 9, 10, 12-16, A0)
+ */
+const ESP8266_TEMPLATE_PINS = [0, 1, 2, 3, 4, 5, 9, 10, 12, 13, 14, 15, 16, 17];
+/**
+ * Detects the legacy GPIO code table: it uses 255 for "User" and codes 2-31,
+ * which are unused in the current table (0 = None, 1 = User, then multiples of 32)
+ */
+function isLegacyGpioTable(codes) {
+    return codes.some(code => code === 255 || (code > 1 && code < 32));
+}
+/**
+ * Decodes a single GPIO code into { type, index, ... } or null for unused/unknown codes
+ */
+function decodeGpioCode(code, legacy) {
+    if (legacy) {
+        const entry = GPIO_LEGACY_COMPONENTS.find(([first, last]) => code >= first && code <= last);
+        return entry ? { ...entry[2], index: code - entry[0] + 1 } : null;
     }
-   
-    return relayCount;
+    const component = GPIO_COMPONENTS[Math.floor(code / 32)];
+    return component ? { ...component, index: (code % 32) + 1 } : null;
 }
 /**
- * Creates a Zigbee2MQTT-style device definition for a Sonoff switch
- * CHANGED: Now supports multi-relay devices with endpoints
+ * Decodes GPIO codes ([{ gpio, code }]) into the device capability model:
+ * { legacy, relays, leds, buttons, switches, counters, pwm, sensors, ws2812 }
  */
-function createZ2MDeviceDefinition(deviceInfo) {
-    const mac = deviceInfo.mac;
-    const ieee = macToIeee(mac);
-    const friendlyName = deviceInfo.friendlyName;
-   
-    const exposes = [];
+function decodeGpioCodes(pins, legacy) {
+    const capabilities = {
+        legacy: legacy,
+        relays: [],    // { index, gpio, inverted, bistable }
+        leds: [],      // { index, gpio, inverted, link }
+        buttons: [],   // { index, gpio, inverted, pullup }
+        switches: [],  // { index, gpio, pullup }
+        counters: [],  // { index, gpio, pullup }
+        pwm: [],       // { index, gpio, inverted }
+        sensors: [],   // { type, gpio } with type DHT11, AM2301, SI7021, DS18x20 or I2C
+        ws2812: false
+    };
    
-    // CHANGED: Create expose for each relay with endpoint
-    if (deviceInfo.relayCount > 0) {
-        for (let i = 1; i <= deviceInfo.relayCount; i++) {
-            const endpoint = `l${i}`;
-            const property = deviceInfo.relayCount === 1 ? 'state' : `state_l${i}`;
-            
-            exposes.push({
-                endpoint: endpoint,
-                type: "switch",
-                features: [
-                    {
-                        access: 7, // read/write/publish
-                        description: "On/off state of the switch",
-                        endpoint: endpoint,
-                        label: "State",
-                        name: "state",
-                        property: property,
-                        type: "binary",
-                        value_off: "OFF",
-                        value_on: "ON",
-                        value_toggle: "TOGGLE"
-                    }
-                ]
-            });
+    pins.forEach(({ gpio, code }) => {
+        const component = decodeGpioCode(code, legacy);
+        if (!component) return;
+       
+        const { index, inverted = false, pullup = true } = component;
+        switch (component.type) {
+            case 'relay':
+                // Bistable relays use a set and a reset pin with the same index
+                if (!capabilities.relays.some(r => r.index === index)) {
+                    capabilities.relays.push({ index, gpio, inverted, bistable: !!component.bistable });
+                }
+                break;
+            case 'led':
+                capabilities.leds.push({ index, gpio, inverted, link: !!component.link });
+                break;
+            case 'button':
+                capabilities.buttons.push({ index, gpio, inverted, pullup });
+                break;
+            case 'switch':
+                capabilities.switches.push({ index, gpio, pullup });
+                break;
+            case 'counter':
+                capabilities.counters.push({ index, gpio, pullup });
+                break;
+            case 'pwm':
+                capabilities.pwm.push({ index, gpio, inverted });
+                break;
+            case 'sensor':
+                capabilities.sensors.push({ type: component.sensor, gpio });
+                break;
+            case 'i2c':
+                if (!capabilities.sensors.some(s => s.type === 'I2C')) {
+                    capabilities.sensors.push({ type: 'I2C', gpio });
+                }
+                break;
+            case 'ws2812':
+                capabilities.ws2812 = true;
+                break;
         }
-    }
-   
-    // Linkquality
-    exposes.push({
-        access: 1,
-        category: "diagnostic",
-        description: "Link quality (signal strength)",
-        label: "Linkquality",
-        name: "linkquality",
-        property: "linkquality",
-        type: "numeric",
-        unit: "lqi",
-        value_max: 255,
-        value_min: 0
     });
    
-    // CHANGED: Create endpoints for each relay
-    const endpoints = {};
-    for (let i = 1; i <= deviceInfo.relayCount; i++) {
-        endpoints[i.toString()] = {
-            bindings: [],
-            clusters: {
-                input: ['genBasic', 'genIdentify', 'genOnOff'],
-                output: []
-            },
-            configured_reportings: [],
-            name: `l${i}`,
-            scenes: []
-        };
-    }
+    ['relays', 'leds', 'buttons', 'switches', 'counters', 'pwm'].forEach(key => {
+        capabilities[key].sort((a, b) => a.index - b.index);
+    });
    
-    return {
-        ieee_address: ieee,
-        type: 'Router',
-        network_address: parseInt(mac.replace(/:/g, '').substring(8), 16),
-        supported: true,
-        friendly_name: friendlyName,
-        disabled: false,
-        definition: {
-            model: deviceInfo.model || 'Generic',
-            vendor: 'Sonoff',
-            description: `Sonoff ${deviceInfo.model || 'Device'}`,
-            exposes: exposes,
-            options: [],
-            supports_ota: false,
-            source: "native"
-        },
-        power_source: 'Mains (single phase)',
-        model_id: deviceInfo.model || 'Generic',
-        manufacturer: 'Sonoff',
-        endpoints: endpoints,
-        interview_completed: true,
-        interviewing: false,
-        interview_state: "SUCCESSFUL",
-        software_build_id: deviceInfo.version || '1.0.0',
-        date_code: new Date().toISOString().split('T')[0].replace(/-/g, '')
-    };
+    return capabilities;
 }
 /**
- * Creates the Zigbee2MQTT bridge information payload
+ * Decodes a raw Tasmota template {"NAME":..,"GPIO":[..],"FLAG":..,"BASE":..}
+ * (object or JSON string) into the device capability model, null if invalid
  */
-function createBridgeInfo() {
-    return {
-        version: CONFIG.bridgeVersion,
-        commit: CONFIG.bridgeCommit,
-        coordinator: {
-            ieee_address: CONFIG.coordinatorIeee,
-            type: 'sonoff-bridge',
-            meta: {
-                revision: 20230507,
-                maintrel: 1,
-                majorrel: 2,
-                minorrel: 7,
-                product: 1,
-                transportrev: 2
-            }
-        },
-        zigbee_herdsman: { version: "7.0.4" },
-        zigbee_herdsman_converters: { version: "25.83.1" },
-        network: {
-            channel: 15,
-            extended_pan_id: CONFIG.coordinatorIeee,
-            pan_id: 0815
-        },
-        log_level: CONFIG.debug ? 'debug' : 'error',
-        permit_join: false,
-        restart_required: false,
-        config: {
-            advanced: {
-                output: 'json',
-                legacy_api: false,
-                legacy_availability_payload: false,
-                cache_state: true,
-                cache_state_persistent: true,
-                cache_state_send_on_startup: true,
-                elapsed: false,
-                log_level: CONFIG.debug ? 'debug' : 'error',
-                pan_id: 6754,
-                channel: 15,
-                transmit_power: 20
-            },
-            availability: {
-                active: { timeout: 10 },
-                passive: { timeout: 1500 },
-                enabled: true
-            },
-            devices: {},
-            groups: {},
-            homeassistant: { enabled: false },
-            mqtt: {
-                base_topic: CONFIG.z2mBaseTopic,
-                server: 'mqtt://localhost',
-                version: 4
-            },
-            serial: {
-                adapter: 'sonoff-bridge',
-                port: 'virtual'
-            },
-            frontend: {
-                enabled: true,
-                package: 'zigbee2mqtt-frontend',
-                port: 8080
-            }
-        },
-        mqtt: {
-            server: 'mqtt://localhost',
-            version: 4
+function decodeTemplate(template) {
+    if (typeof template === 'string') {
+        try {
+            template = JSON.parse(template);
+        } catch (e) {
+            return null;
         }
-    };
+    }
+    if (!template || !Array.isArray(template.GPIO)) {
+        return null;
+    }
+   
+    const codes = template.GPIO.map(code => parseInt(code));
+    // ESP8266 templates have 13 (legacy) or 14 positions, ESP32 templates list the GPIOs in order
+    const pins = codes.map((code, i) => ({
+        gpio: codes.length <= ESP8266_TEMPLATE_PINS.length ? ESP8266_TEMPLATE_PINS[i] : i,
+        code: code
+    })).filter(pin => !isNaN(pin.code));
+   
+    const capabilities = decodeGpioCodes(pins, codes.length === 13 || isLegacyGpioTable(codes));
+    capabilities.name = template.NAME || null;
+    capabilities.base = template.BASE !== undefined ? template.BASE : null;
+    capabilities.flag = template.FLAG !== undefined ? template.FLAG : null;
+    return capabilities;
 }
 /**
- * Publishes an MQTT message using the MQTT client adapter
+ * Reads the capability model of a device: from the raw template stored by the
+ * Data Updater if available, otherwise from the GPIO_* states of the Sonoff adapter
  */
-function publishMqtt(topic, payload, retain = false) {
-    const fullTopic = `${CONFIG.z2mBaseTopic}/${topic}`;
-    const payloadStr = typeof payload === 'object' ? JSON.stringify(payload) : payload;
+function parseCapabilities(source, friendlyName) {
+    let capabilities = decodeTemplate(getStateValue(`${source.templateStates}.${friendlyName}`));
+    let origin = 'template';
    
-    sendTo(CONFIG.mqttAdapter, 'sendMessage2Client', {
-        topic: fullTopic,
-        message: payloadStr
-        // retain flag is currently not supported in this sendTo call
-    });
+    if (!capabilities) {
+        const pins = [];
+        $(`${source.adapter}.${friendlyName}.GPIO_*`).each((stateId) => {
+            const code = parseInt(getStateValue(stateId));
+            if (!isNaN(code)) {
+                pins.push({ gpio: parseInt(stateId.split('.').pop().replace('GPIO_', '')), code: code });
+            }
+        });
+        capabilities = decodeGpioCodes(pins, isLegacyGpioTable(pins.map(pin => pin.code)));
+        origin = 'GPIO states';
+    }
+   
+    logDebug(`Capabilities of ${friendlyName} (${origin}${capabilities.legacy ? ', legacy GPIO codes' : ''}): ` +
+        `${capabilities.relays.length} relay(s)${capabilities.relays.some(r => r.bistable) ? ' (bistable)' : ''}, ` +
+        `${capabilities.pwm.length} PWM, ${capabilities.buttons.length} button(s), ${capabilities.switches.length} switch(es), ` +
+        `${capabilities.leds.length} LED(s), sensors: ${capabilities.sensors.map(s => s.type).join('/') || 'none'}`);
    
-    logDebug(`Published: ${fullTopic} = ${payloadStr.substring(0, 100)}${payloadStr.length > 100 ? '...' : ''}`);
+    return capabilities;
 }
 /**
- * Publishes all important bridge information topics
+ * Detects a dimmable light and its color capabilities from the PWM channels
+ * (or a WS2812 strip) of the capability model and the light states
+ * Returns null if the device has no light, otherwise { color, colorTemp, white, ctRange }
  */
-async function publishBridgeTopics() {
-    // Bridge Info
-    publishMqtt('bridge/info', createBridgeInfo(), true);
+function parseLight(source, friendlyName, capabilities) {
+    const base = `${source.adapter}.${friendlyName}`;
    
-    // Bridge Devices
-    const devices = [
-        {
-            disabled: false,
-            friendly_name: "Coordinator",
-            ieee_address: CONFIG.coordinatorIeee,
-            interview_completed: true,
-            interview_state: "SUCCESSFUL",
-            interviewing: false,
-            network_address: 0,
-            supported: true,
-            type: "Coordinator",
-            definition: {
-                model: CONFIG.coordinatormodel,
-                vendor: CONFIG.coordinatorvendor,
-                description: CONFIG.coordinatordescription
-            }
-        },
-        // all Sonoff devices
-        ...Array.from(sonoffDevices.values()).map(dev => dev.z2mDevice)
-    ];
-    publishMqtt('bridge/devices', devices, true);
+    const pwmCount = capabilities.pwm.length;
+    if (pwmCount > 0) {
+        logDebug(`Found ${pwmCount} PWM channel(s) for ${friendlyName}`);
+    }
    
-    // Bridge Groups
-    publishMqtt('bridge/groups', [], true);
+    const hasColorState = existsState(`${base}.HSBColor`) || existsState(`${base}.Color`);
+    const hasCTState = existsState(`${base}.CT`);
    
-    // Bridge Extensions
-    publishMqtt('bridge/extensions', [], true);
+    if (!existsState(`${base}.Dimmer`) && pwmCount === 0 && !capabilities.ws2812 && !hasColorState && !hasCTState) {
+        return null;
+    }
    
-    // Bridge State
-    publishMqtt('bridge/state', {state: 'online'}, true);
+    // PWM channels: 1 = dimmer, 2 = CCT, 3 = RGB, 4 = RGBW, 5 = RGBCCT
+    const light = {
+        color: existsState(`${base}.HSBColor`) || pwmCount >= 3 || capabilities.ws2812,
+        colorTemp: hasCTState || pwmCount === 2 || pwmCount === 5,
+        white: existsState(`${base}.White`) || pwmCount >= 4,
+        ctRange: [153, 500]
+    };
+   
+    // Optional bulb specific CT range ("153,500")
+    const ctRange = String(getStateValue(`${base}.CTRange`) || '').split(',').map(v => parseInt(v));
+    if (ctRange.length === 2 && !isNaN(ctRange[0]) && !isNaN(ctRange[1]) && ctRange[0] < ctRange[1]) {
+        light.ctRange = ctRange;
+    }
    
-    logDebug(`Bridge topics published with ${devices.length} devices (including coordinator)`);
+    return light;
 }
 /**
- * Publishes device state and availability to Zigbee2MQTT topics
- * CHANGED: Now supports multi-relay devices with state_l1, state_l2, etc.
+ * Converts Z2M brightness (0-254) to Tasmota Dimmer (0-100)
  */
-function publishDeviceState(mac, states, available = true) {
-    const device = sonoffDevices.get(mac);
-    if (!device) return;
+function brightnessToDimmer(brightness) {
+    const dimmer = Math.round(Math.max(0, Math.min(254, brightness)) * 100 / 254);
+    return brightness > 0 ? Math.max(dimmer, 1) : 0;
+}
+/**
+ * Converts Tasmota Dimmer (0-100) to Z2M brightness (0-254)
+ */
+function dimmerToBrightness(dimmer) {
+    return Math.round(Math.max(0, Math.min(100, dimmer)) * 254 / 100);
+}
+/**
+ * Converts HSV (hue 0-360, saturation/value 0-100) to RGB (0-255)
+ */
+function hsvToRgb(hue, saturation, value) {
+    const h = ((hue % 360) + 360) % 360 / 60;
+    const s = saturation / 100;
+    const v = value / 100;
+    const c = v * s;
+    const x = c * (1 - Math.abs(h % 2 - 1));
+    const m = v - c;
+    const rgb = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(h) % 6];
+    return rgb.map(channel => Math.round((channel + m) * 255));
+}
+/**
+ * Converts RGB (0-255) to HSV (hue 0-360, saturation/value 0-100)
+ */
+function rgbToHsv(r, g, b) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const delta = max - Math.min(rn, gn, bn);
    
-    const friendlyName = device.z2mDevice.friendly_name;
+    let hue = 0;
+    if (delta > 0) {
+        if (max === rn) hue = 60 * (((gn - bn) / delta) % 6);
+        else if (max === gn) hue = 60 * ((bn - rn) / delta + 2);
+        else hue = 60 * ((rn - gn) / delta + 4);
+    }
    
-    // Build payload with all relay states
-    const payload = {
-        linkquality: 255
+    return {
+        hue: Math.round((hue + 360) % 360),
+        saturation: max > 0 ? Math.round(delta / max * 100) : 0,
+        value: Math.round(max * 100)
     };
-    
-    // CHANGED: Add state for each relay
-    if (device.relayCount === 1) {
-        // Single relay: use "state"
-        payload.state = states[0] ? 'ON' : 'OFF';
-    } else {
-        // Multi relay: use "state_l1", "state_l2", etc.
-        for (let i = 0; i < device.relayCount; i++) {
-            payload[`state_l${i + 1}`] = states[i] ? 'ON' : 'OFF';
-        }
+}
+/**
+ * Converts RGB (0-255) to CIE 1931 x/y (sRGB, D65)
+ */
+function rgbToXy(r, g, b) {
+    const gamma = c => {
+        c = c / 255;
+        return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+    };
+    const [rl, gl, bl] = [gamma(r), gamma(g), gamma(b)];
+    const X = rl * 0.4124 + gl * 0.3576 + bl * 0.1805;
+    const Y = rl * 0.2126 + gl * 0.7152 + bl * 0.0722;
+    const Z = rl * 0.0193 + gl * 0.1192 + bl * 0.9505;
+    const sum = X + Y + Z;
+   
+    if (sum === 0) return { x: 0.3127, y: 0.329 };  // D65 white point
+    return { x: Math.round(X / sum * 10000) / 10000, y: Math.round(Y / sum * 10000) / 10000 };
+}
+/**
+ * Converts CIE 1931 x/y to RGB (0-255) at full brightness
+ */
+function xyToRgb(x, y) {
+    const Y = 1;
+    const X = y > 0 ? (Y / y) * x : 0;
+    const Z = y > 0 ? (Y / y) * (1 - x - y) : 0;
+    const rgb = [
+        X * 3.2406 - Y * 1.5372 - Z * 0.4986,
+        -X * 0.9689 + Y * 1.8758 + Z * 0.0415,
+        X * 0.0557 - Y * 0.2040 + Z * 1.0570
+    ].map(c => Math.max(0, c));
+    const max = Math.max(...rgb, 1e-6);
+    return rgb.map(c => {
+        c = c / max;
+        c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+        return Math.round(Math.max(0, Math.min(1, c)) * 255);
+    });
+}
+/**
+ * Converts a hex color ("#FF8000" or Tasmota "FF8000FF00") to RGB (0-255)
+ */
+function hexToRgb(hex) {
+    const clean = String(hex).replace('#', '');
+    if (!/^[0-9a-fA-F]{6}/.test(clean)) return null;
+    return [0, 2, 4].map(i => parseInt(clean.substring(i, i + 2), 16));
+}
+/**
+ * Converts RGB (0-255) to a hex color ("#ff8000")
+ */
+function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+/**
+ * Tasmota power metering states and their Zigbee2MQTT counterparts
+ */
+const ENERGY_FEATURES = [
+    { state: 'ENERGY_Power',   property: 'power',        label: 'Power',        unit: 'W',   description: 'Instantaneous measured power' },
+    { state: 'ENERGY_Voltage', property: 'voltage',      label: 'Voltage',      unit: 'V',   description: 'Measured electrical potential value' },
+    { state: 'ENERGY_Current', property: 'current',      label: 'Current',      unit: 'A',   description: 'Instantaneous measured electrical current' },
+    { state: 'ENERGY_Total',   property: 'energy',       label: 'Energy',       unit: 'kWh', description: 'Sum of consumed energy' },
+    { state: 'ENERGY_Today',   property: 'energy_today', label: 'Energy today', unit: 'kWh', description: 'Energy consumed today' },
+];
+/**
+ * Normalizes an ENERGY_* value to an array of numbers (one per channel)
+ * Multi-channel meters (e.g. Dual R3) report arrays like [12.3, 0]
+ */
+function parseEnergyValues(value) {
+    if (value === null || value === undefined || value === '') return [];
+    let values = value;
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+        try {
+            values = JSON.parse(value);
+        } catch (e) {
+            return [];
+        }
+    }
+    if (!Array.isArray(values)) values = [values];
+    return values.map(v => parseFloat(v)).filter(v => !isNaN(v));
+}
+/**
+ * Detects power metering states (ENERGY_*) of a device
+ * Returns a list of energy features with their channel count
+ */
+function parseEnergy(source, friendlyName) {
+    const energy = [];
+   
+    ENERGY_FEATURES.forEach(feature => {
+        const stateId = `${source.adapter}.${friendlyName}.${feature.state}`;
+        if (!existsState(stateId)) return;
+       
+        const values = parseEnergyValues(getStateValue(stateId));
+        energy.push({ ...feature, channels: Math.max(values.length, 1) });
+    });
+   
+    if (energy.length > 0) {
+        logDebug(`Found energy metering for ${friendlyName}: ${energy.map(f => `${f.property}(${f.channels})`).join(', ')}`);
+    }
+   
+    return energy;
+}
+/**
+ * Builds the payload values of an energy feature
+ * Per-channel values are published as <property>_l1, <property>_l2, ... (or the custom endpoint names)
+ */
+function energyPayloadValues(device, feature, value) {
+    const values = parseEnergyValues(value);
+    const result = {};
+   
+    if (feature.channels > 1) {
+        for (let i = 0; i < feature.channels; i++) {
+            if (values[i] !== undefined) result[`${feature.property}_${endpointName(device, i + 1)}`] = values[i];
+        }
+    } else if (values.length > 0) {
+        result[feature.property] = values[0];
+    }
+   
+    return result;
+}
+/**
+ * Known Tasmota sensor prefixes (state names like "AM2301_Temperature" or "DS18B20-1_Temperature")
+ */
+const SENSOR_PREFIXES = [
+    'DS18B20', 'DS18S20', 'DS1822', 'AM2301', 'DHT11', 'DHT22', 'SI7021', 'SHT3X', 'SHT4X', 'HTU21',
+    'BMP180', 'BMP280', 'BME280', 'BME680', 'BH1750', 'TSL2561', 'VEML7700', 'LM75AD'
+];
+/**
+ * Tasmota sensor quantities and their Zigbee2MQTT counterparts
+ */
+const SENSOR_QUANTITIES = {
+    Temperature: { property: 'temperature', label: 'Temperature', unit: '°C',  description: 'Measured temperature value' },
+    Humidity:    { property: 'humidity',    label: 'Humidity',    unit: '%',   description: 'Measured relative humidity' },
+    Pressure:    { property: 'pressure',    label: 'Pressure',    unit: 'hPa', description: 'The measured atmospheric pressure' },
+    Illuminance: { property: 'illuminance', label: 'Illuminance', unit: 'lx',  description: 'Measured illuminance' },
+    DewPoint:    { property: 'dew_point',   label: 'Dew point',   unit: '°C',  description: 'Calculated dew point' },
+};
+/**
+ * Detects environmental sensors of a device
+ * Returns a list of sensor features (state name, Z2M property, unit)
+ */
+function parseSensors(source, friendlyName) {
+    const base = `${source.adapter}.${friendlyName}.`;
+    const found = [];
+   
+    $(`${base}*`).each((stateId) => {
+        const stateName = stateId.substring(base.length);
+        const match = /^([A-Za-z0-9]+(?:-[A-Za-z0-9]+)?)_([A-Za-z]+)$/.exec(stateName);
+        if (!match) return;
+       
+        const sensorId = match[1];
+        const quantity = SENSOR_QUANTITIES[match[2]];
+        if (!quantity || !SENSOR_PREFIXES.includes(sensorId.split('-')[0].toUpperCase())) return;
+       
+        found.push({ state: stateName, sensorId: sensorId, ...quantity });
+    });
+   
+    found.sort((a, b) => a.state.localeCompare(b.state));
+   
+    // Fahrenheit if Tasmota is configured with "TempUnit F"
+    const tempUnit = getStateValue(`${base}TempUnit`);
+    const fahrenheit = tempUnit === 'F';
+   
+    // Several sensors of the same quantity get the sensor name as suffix, e.g. temperature_ds18b20_1
+    const sensors = found.map(sensor => {
+        const sameQuantity = found.filter(s => s.property === sensor.property).length;
+        const property = sameQuantity > 1
+            ? `${sensor.property}_${sensor.sensorId.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`
+            : sensor.property;
+        const unit = fahrenheit && sensor.unit === '°C' ? '°F' : sensor.unit;
+        return { ...sensor, property: property, name: sensor.property, unit: unit };
+    });
+   
+    if (sensors.length > 0) {
+        logDebug(`Found ${sensors.length} sensor value(s) for ${friendlyName}: ${sensors.map(s => s.property).join(', ')}`);
+    }
+   
+    return sensors;
+}
+/**
+ * Detects Tasmota shutters (SetOption80 1) via Shutter<x>_Position states
+ * Each shutter drives two POWER channels (up/down) starting at ShutterRelay<x>
+ * Returns [{ index, relay, position, direction }]
+ */
+function parseShutters(source, friendlyName, relayCount) {
+    const base = `${source.adapter}.${friendlyName}`;
+    const shutters = [];
+   
+    for (let i = 1; existsState(`${base}.Shutter${i}_Position`); i++) {
+        const shutterRelay = parseInt(getStateValue(`${base}.ShutterRelay${i}`));
+        const relay = shutterRelay > 0 ? shutterRelay : i * 2 - 1;
+       
+        if (relay + 1 > relayCount) {
+            logInfo(`Shutter${i} of ${friendlyName} uses relay ${relay}/${relay + 1}, but only ${relayCount} relay(s) were found, ignoring`);
+            continue;
+        }
+        shutters.push({ index: i, relay: relay, position: null, direction: 0 });
+    }
+   
+    if (shutters.length > 0) {
+        logDebug(`Found ${shutters.length} shutter(s) for ${friendlyName}: ${shutters.map(sh => `Shutter${sh.index} (relay ${sh.relay}/${sh.relay + 1})`).join(', ')}`);
+    }
+   
+    return shutters;
+}
+/**
+ * Fan modes of FanSpeed 0-3
+ */
+const FAN_MODES = ['off', 'low', 'medium', 'high'];
+/**
+ * Detects Sonoff iFan modules (INFO.Info1_Module) or other fan controllers (FanSpeed state)
+ * POWER1 switches the light, the remaining relays are driven by FanSpeed and are hidden
+ * Returns null or { lightRelay, relays, speed, lastOnSpeed }
+ */
+function parseFan(source, friendlyName, model, relayCount) {
+    const base = `${source.adapter}.${friendlyName}`;
+    if (!/ifan/i.test(model || '') && !existsState(`${base}.FanSpeed`)) {
+        return null;
+    }
+   
+    const relays = [];
+    for (let i = 2; i <= relayCount; i++) {
+        relays.push(i);
+    }
+    const fan = {
+        lightRelay: relayCount > 0 ? 1 : null,
+        relays: relays,                                // POWER channels switched by FanSpeed
+        speed: null,
+        lastOnSpeed: 1                                 // Speed used for fan_state ON
+    };
+   
+    logDebug(`Found fan controller for ${friendlyName} (${model || 'FanSpeed'}): light relay ${fan.lightRelay || 'none'}, fan relays ${relays.join(',') || 'none'}`);
+    return fan;
+}
+/**
+ * Tasmota PowerOnState → Z2M power_on_behavior
+ * 4 (on, locked) and 5 (off, on again after PulseTime) end up on and are reported as "on"
+ */
+const POWER_ON_BEHAVIORS = ['off', 'on', 'toggle', 'previous', 'on', 'on'];
+// Tasmota PulseTime: 1-111 = 0.1 s steps, 112-64900 = seconds + 100
+const PULSE_TIME_MAX = 64900;
+// Identify: LED (or relay) on/off cycles of 0.5 s each
+const IDENTIFY_BLINKS = 5;
+// Tasmota answers each command of a Backlog in its own RESULT (SetOption34, 200 ms apart by default)
+const SETTINGS_PUBLISH_DELAY = 1000;
+// The Sonoff adapter writes the fields of one telemetry message as separate states
+const TELEMETRY_PUBLISH_DELAY = 500;
+/**
+ * Converts a Tasmota PulseTime value to seconds
+ */
+function pulseTimeToSeconds(value) {
+    return value <= 111 ? value / 10 : value - 100;
+}
+/**
+ * Converts seconds to a Tasmota PulseTime value (0 = off)
+ */
+function secondsToPulseTime(seconds) {
+    if (!(seconds > 0)) return 0;
+    return seconds <= 11.1 ? Math.max(1, Math.round(seconds * 10)) : Math.min(PULSE_TIME_MAX, Math.round(seconds) + 100);
+}
+/**
+ * Tasmota button actions (Button<x>_Action) → Z2M action
+ */
+const BUTTON_ACTIONS = {
+    SINGLE: 'single',
+    DOUBLE: 'double',
+    TRIPLE: 'triple',
+    HOLD: 'hold',
+    CLEAR: 'release',
+    RELEASE: 'release'
+};
+/**
+ * Detects buttons and switch inputs from the capability model and the
+ * Button<x>/Switch<x> states of the Sonoff adapter
+ * Switches are binary sensors: occupancy for SwitchMode 15/16 (MQTT only, e.g. PIR), contact otherwise
+ * Returns { buttons: [{ index }], switches: [{ index, mode, sensor }] }
+ */
+function parseInputs(source, friendlyName, capabilities) {
+    const base = `${source.adapter}.${friendlyName}`;
+    const buttons = new Set(capabilities.buttons.map(b => b.index));
+    const switches = new Set(capabilities.switches.map(sw => sw.index));
+   
+    $(`${base}.*`).each((stateId) => {
+        const match = stateId.substring(base.length + 1).match(/^(Button|Switch)(\d+)(_Action)?$/);
+        if (match) {
+            (match[1] === 'Button' ? buttons : switches).add(parseInt(match[2]));
+        }
+    });
+   
+    const inputs = {
+        buttons: [...buttons].sort((a, b) => a - b).map(index => ({ index: index })),
+        switches: [...switches].sort((a, b) => a - b).map(index => {
+            const mode = parseInt(getStateValue(`${base}.SwitchMode${index}`)) || 0;
+            return { index: index, mode: mode, sensor: mode === 15 || mode === 16 ? 'occupancy' : 'contact' };
+        })
+    };
+   
+    if (inputs.buttons.length > 0 || inputs.switches.length > 0) {
+        logDebug(`Found inputs for ${friendlyName}: buttons ${inputs.buttons.map(b => b.index).join(',') || 'none'}, switches ${inputs.switches.map(sw => `${sw.index} (${sw.sensor})`).join(',') || 'none'}`);
+    }
+   
+    return inputs;
+}
+/**
+ * Returns the property suffix of a button/switch input ("" if the device has one input of this kind)
+ */
+function inputSuffix(inputs, index) {
+    return inputs.length === 1 ? '' : `_l${index}`;
+}
+/**
+ * Deep merges source into target (objects only, arrays are replaced)
+ */
+function mergeDeep(target, source) {
+    Object.keys(source || {}).forEach(key => {
+        const value = source[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+                target[key] = {};
+            }
+            mergeDeep(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+/**
+ * Finds a registered device by its source and Sonoff adapter name
+ */
+function findDeviceByFriendlyName(source, friendlyName) {
+    for (const dev of sonoffDevices.values()) {
+        if (dev.source === source.adapter && dev.friendlyName === friendlyName) return dev;
+    }
+    return null;
+}
+/**
+ * Finds a device of a bridge by Z2M friendly name or IEEE address
+ */
+function findDeviceById(bridge, id) {
+    return bridgeDevices(bridge).find(dev => dev.z2mDevice.friendly_name === id || dev.z2mDevice.ieee_address === id) || null;
+}
+/**
+ * Finds a device by the MQTT adapter of its Tasmota broker and its Tasmota MQTT topic
+ */
+function findDeviceByTasmotaTopic(tasmotaMqttAdapter, topic) {
+    const mac = tasmotaTopics.get(`${tasmotaMqttAdapter}/${topic}`);
+    return (mac && sonoffDevices.get(mac)) || null;
+}
+/**
+ * Adds a registered device to the Tasmota topic index (replaces an earlier topic of the device)
+ */
+function indexTasmotaTopic(device) {
+    const tasmotaMqttAdapter = sourceOf(device).tasmotaMqttAdapter;
+    tasmotaTopics.forEach((mac, key) => {
+        if (mac === device.mac) tasmotaTopics.delete(key);
+    });
+    if (tasmotaMqttAdapter) {
+        tasmotaTopics.set(`${tasmotaMqttAdapter}/${getTasmotaTopic(device)}`, device.mac);
+    }
+}
+/**
+ * Known keys and relay types of the per-device overrides (CONFIG.devices)
+ */
+const OVERRIDE_KEYS = ['exclude', 'friendly_name', 'model', 'vendor', 'description', 'relay_types', 'endpoint_names', 'identify_relay'];
+const RELAY_TYPES = ['switch', 'light', 'outlet'];
+/**
+ * Checks CONFIG.devices and warns about unknown keys and invalid values
+ */
+function validateDeviceOverrides() {
+    Object.keys(CONFIG.devices || {}).forEach(key => {
+        const overrides = CONFIG.devices[key] || {};
+        Object.keys(overrides).forEach(option => {
+            if (!OVERRIDE_KEYS.includes(option)) {
+                logWarn(`Unknown option '${option}' in CONFIG.devices['${key}'] (known: ${OVERRIDE_KEYS.join(', ')})`);
+            }
+        });
+        Object.keys(overrides.relay_types || {}).forEach(endpoint => {
+            if (!RELAY_TYPES.includes(overrides.relay_types[endpoint])) {
+                logWarn(`Unknown relay type '${overrides.relay_types[endpoint]}' for ${endpoint} in CONFIG.devices['${key}'] (known: ${RELAY_TYPES.join(', ')})`);
+            }
+        });
+        Object.keys(overrides.endpoint_names || {}).forEach(endpoint => {
+            if (!/^[a-z0-9_]+$/i.test(String(overrides.endpoint_names[endpoint]))) {
+                logWarn(`Invalid endpoint name '${overrides.endpoint_names[endpoint]}' for ${endpoint} in CONFIG.devices['${key}'] (letters, digits and _ only)`);
+            }
+        });
+    });
+}
+/**
+ * Returns the overrides of a device: CONFIG.devices entries of its Sonoff adapter name and MAC
+ * (MAC keys in any notation, e.g. AA:BB:CC:DD:EE:FF or aabbccddeeff; MAC entries win)
+ */
+function getDeviceOverrides(mac, friendlyName) {
+    const normalizeMac = value => String(value).replace(/[^0-9a-f]/gi, '').toUpperCase();
+    const entries = CONFIG.devices || {};
+    const byName = entries[friendlyName] || {};
+    const macKey = Object.keys(entries).find(key =>
+        /^([0-9a-f]{2}[:-]?){5}[0-9a-f]{2}$/i.test(key) && mac && normalizeMac(key) === normalizeMac(mac));
+    return { ...byName, ...(macKey ? entries[macKey] : {}) };
+}
+/**
+ * Returns the endpoint name of a POWER channel (endpoint_names override or "lX")
+ */
+function endpointName(device, channel) {
+    const names = (device.overrides || {}).endpoint_names || {};
+    const name = names[`l${channel}`] || names[channel];
+    return name && /^[a-z0-9_]+$/i.test(String(name)) ? String(name) : `l${channel}`;
+}
+/**
+ * Resolves an endpoint (custom name, 'l2', '2' or 2) to its POWER channel, defaults to 1
+ */
+function resolveEndpoint(device, endpoint) {
+    for (let i = 1; i <= device.relayCount; i++) {
+        if (String(endpoint) === endpointName(device, i)) return i;
+    }
+    return parseEndpoint(endpoint);
+}
+/**
+ * Returns the expose type of a relay: relay_types override, "light" for the light relay of a fan, "switch" otherwise
+ */
+function relayType(device, channel) {
+    const types = (device.overrides || {}).relay_types || {};
+    const type = types[`l${channel}`] || types[channel];
+    if (RELAY_TYPES.includes(type)) return type;
+    return device.fan && channel === device.fan.lightRelay ? 'light' : 'switch';
+}
+/**
+ * Returns the shutter driving the given POWER channel, or null
+ */
+function shutterOfChannel(device, channel) {
+    return (device.shutters || []).find(sh => channel === sh.relay || channel === sh.relay + 1) || null;
+}
+/**
+ * Returns true if the POWER channel is a fan relay (switched via FanSpeed, not exposed)
+ */
+function isFanRelay(device, channel) {
+    return !!device.fan && device.fan.relays.includes(channel);
+}
+/**
+ * Returns the POWER channel whose endpoint carries the fan (the first fan relay), or null
+ */
+function fanEndpoint(device) {
+    return device.fan && device.fan.relays.length > 0 ? device.fan.relays[0] : null;
+}
+/**
+ * Returns the POWER channels switched as relay or light (not driven by a shutter or fan)
+ */
+function configurableChannels(device) {
+    const channels = [];
+    for (let i = 1; i <= device.relayCount; i++) {
+        if (!shutterOfChannel(device, i) && !isFanRelay(device, i)) channels.push(i);
+    }
+    return channels;
+}
+/**
+ * Parses the reply of the Tasmota Interlock command ({"Interlock":"ON","Groups":"1,2 3,4"})
+ * Returns the groups of POWER channels that are switched exclusively, or null if Interlock is OFF
+ * Without groups, all relays form one group
+ */
+function parseInterlock(value, relayCount) {
+    let result = value;
+    if (typeof value === 'string') {
+        try {
+            result = JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!result || typeof result !== 'object' || String(result.Interlock).toUpperCase() !== 'ON') return null;
+   
+    let groups = String(result.Groups || '').trim().split(/\s+/)
+        .map(group => group.split(',').map(n => parseInt(n)).filter(n => n >= 1 && n <= relayCount))
+        .filter(group => group.length > 1);
+    if (!result.Groups) {
+        groups = [Array.from({ length: relayCount }, (v, i) => i + 1)];
+    }
+    return groups.length > 0 && groups[0].length > 1 ? groups : null;
+}
+/**
+ * Updates the interlock groups of a device from an Interlock reply (Data Updater state or RESULT)
+ */
+function setInterlock(device, value) {
+    const relays = device.lightChannel ? device.relayCount - 1 : device.relayCount;
+    const interlock = relays > 1 ? parseInterlock(value, relays) : null;
+    if (JSON.stringify(interlock) === JSON.stringify(device.interlock)) return;
+   
+    device.interlock = interlock;
+    logInfo(`Interlock of ${device.friendlyName}: ${interlock ? interlock.map(group => group.join(',')).join(' ') : 'OFF'}`);
+}
+/**
+ * Returns the property suffix of a POWER channel ("" for single channel devices, "_lX" otherwise)
+ * A shutter uses two POWER channels, but is exposed as one cover on its first channel,
+ * the fan relays of an iFan are not exposed at all
+ */
+function channelSuffix(device, channel) {
+    const channels = device.relayCount - (device.shutters || []).length - (device.fan ? device.fan.relays.length : 0);
+    return channels === 1 ? '' : `_${endpointName(device, channel)}`;
+}
+/**
+ * Creates the Z2M light expose of the dimmer channel (brightness, color_temp, color_xy, color_hs)
+ */
+function createLightExpose(deviceInfo, channel) {
+    const endpoint = endpointName(deviceInfo, channel);
+    const suffix = channelSuffix(deviceInfo, channel);
+    const light = deviceInfo.light;
+   
+    const features = [
+        {
+            access: 7,
+            description: "On/off state of this light",
+            endpoint: endpoint,
+            label: "State",
+            name: "state",
+            property: `state${suffix}`,
+            type: "binary",
+            value_off: "OFF",
+            value_on: "ON",
+            value_toggle: "TOGGLE"
+        },
+        {
+            access: 7,
+            description: "Brightness of this light",
+            endpoint: endpoint,
+            label: "Brightness",
+            name: "brightness",
+            property: `brightness${suffix}`,
+            type: "numeric",
+            value_max: 254,
+            value_min: 0
+        }
+    ];
+   
+    if (light.colorTemp) {
+        features.push({
+            access: 7,
+            description: "Color temperature of this light",
+            endpoint: endpoint,
+            label: "Color temp",
+            name: "color_temp",
+            property: `color_temp${suffix}`,
+            type: "numeric",
+            unit: "mired",
+            value_max: light.ctRange[1],
+            value_min: light.ctRange[0]
+        });
+    }
+   
+    if (light.color) {
+        features.push({
+            access: 7,
+            description: "Color of this light in the CIE 1931 color space (x/y)",
+            endpoint: endpoint,
+            label: "Color (X/Y)",
+            name: "color_xy",
+            property: `color${suffix}`,
+            type: "composite",
+            features: [
+                { access: 7, label: "X", name: "x", property: "x", type: "numeric" },
+                { access: 7, label: "Y", name: "y", property: "y", type: "numeric" }
+            ]
+        });
+        features.push({
+            access: 7,
+            description: "Color of this light expressed as hue/saturation",
+            endpoint: endpoint,
+            label: "Color (HS)",
+            name: "color_hs",
+            property: `color${suffix}`,
+            type: "composite",
+            features: [
+                { access: 7, label: "Hue", name: "hue", property: "hue", type: "numeric" },
+                { access: 7, label: "Saturation", name: "saturation", property: "saturation", type: "numeric" }
+            ]
+        });
+    }
+   
+    return {
+        endpoint: endpoint,
+        type: "light",
+        features: features
+    };
+}
+/**
+ * Creates the Z2M cover expose of a shutter (state OPEN/CLOSE/STOP, position)
+ */
+function createCoverExpose(deviceInfo, shutter) {
+    const endpoint = endpointName(deviceInfo, shutter.relay);
+    const suffix = channelSuffix(deviceInfo, shutter.relay);
+   
+    return {
+        endpoint: endpoint,
+        type: "cover",
+        features: [
+            {
+                access: 3, // set/publish
+                endpoint: endpoint,
+                label: "State",
+                name: "state",
+                property: `state${suffix}`,
+                type: "enum",
+                values: ["OPEN", "CLOSE", "STOP"]
+            },
+            {
+                access: 7, // read/write/publish
+                description: "Position of this cover",
+                endpoint: endpoint,
+                label: "Position",
+                name: "position",
+                property: `position${suffix}`,
+                type: "numeric",
+                unit: "%",
+                value_max: 100,
+                value_min: 0
+            }
+        ]
+    };
+}
+/**
+ * Creates a Zigbee2MQTT-style device definition for a Sonoff switch
+ * CHANGED: Now supports multi-relay devices with endpoints
+ */
+function createZ2MDeviceDefinition(deviceInfo) {
+    const mac = deviceInfo.mac;
+    const ieee = macToIeee(mac);
+    const overrides = deviceInfo.overrides || {};
+    const friendlyName = getDeviceSettings(bridgeOf(deviceInfo), mac).friendly_name || overrides.friendly_name || deviceInfo.friendlyName;
+   
+    const exposes = [];
+   
+    // CHANGED: Create expose for each relay with endpoint
+    if (deviceInfo.relayCount > 0) {
+        for (let i = 1; i <= deviceInfo.relayCount; i++) {
+            const endpoint = endpointName(deviceInfo, i);
+            const property = `state${channelSuffix(deviceInfo, i)}`;
+            
+            // Shutter channels: one cover on the first (up) channel
+            const shutter = shutterOfChannel(deviceInfo, i);
+            if (shutter) {
+                if (i === shutter.relay) {
+                    exposes.push(createCoverExpose(deviceInfo, shutter));
+                }
+                continue;
+            }
+            
+            // Fan relays are controlled via FanSpeed only
+            if (isFanRelay(deviceInfo, i)) {
+                continue;
+            }
+            
+            // Dimmer channel: light with brightness (and color)
+            if (i === deviceInfo.lightChannel) {
+                exposes.push(createLightExpose(deviceInfo, i));
+                continue;
+            }
+            
+            // Relay as switch, on/off light (relay_types, light of a fan controller) or outlet
+            const type = relayType(deviceInfo, i);
+            
+            exposes.push({
+                endpoint: endpoint,
+                type: type === 'light' ? "light" : "switch",
+                features: [
+                    {
+                        access: 7, // read/write/publish
+                        description: type === 'light' ? "On/off state of this light" : `On/off state of the ${type}`,
+                        endpoint: endpoint,
+                        label: "State",
+                        name: "state",
+                        property: property,
+                        type: "binary",
+                        value_off: "OFF",
+                        value_on: "ON",
+                        value_toggle: "TOGGLE"
+                    }
+                ]
+            });
+        }
+    }
+   
+    // Power-on behavior (PowerOnState, one setting of the device for all relays) and countdown (PulseTime) of each relay
+    if (sourceOf(deviceInfo).tasmotaMqttAdapter && configurableChannels(deviceInfo).length > 0) {
+        exposes.push({
+            access: 7, // read/write/publish
+            category: "config",
+            description: "Controls the behavior when the device is powered on after power loss (all relays)",
+            label: "Power-on behavior",
+            name: "power_on_behavior",
+            property: "power_on_behavior",
+            type: "enum",
+            values: ['off', 'on', 'toggle', 'previous']
+        });
+        configurableChannels(deviceInfo).forEach(i => {
+            const endpoint = endpointName(deviceInfo, i);
+            const suffix = channelSuffix(deviceInfo, i);
+            exposes.push({
+                access: 7, // read/write/publish
+                category: "config",
+                description: "Turns the relay off this many seconds after it was turned on (0 = disabled)",
+                endpoint: endpoint,
+                label: "Countdown",
+                name: "countdown",
+                property: `countdown${suffix}`,
+                type: "numeric",
+                unit: "s",
+                value_max: pulseTimeToSeconds(PULSE_TIME_MAX),
+                value_min: 0
+            });
+        });
+    }
+   
+    // Identify (blinks the LED or the relay)
+    if (canIdentify(deviceInfo)) {
+        exposes.push({
+            access: 2, // write
+            category: "config",
+            description: "Initiate device identification",
+            label: "Identify",
+            name: "identify",
+            property: "identify",
+            type: "enum",
+            values: ["identify"]
+        });
+    }
+   
+    // Fan (FanSpeed 0-3)
+    if (deviceInfo.fan) {
+        const fanChannel = fanEndpoint(deviceInfo);
+        exposes.push({
+            type: "fan",
+            endpoint: fanChannel ? endpointName(deviceInfo, fanChannel) : undefined, // hvacFanCtrl endpoint
+            features: [
+                {
+                    access: 7, // read/write/publish
+                    description: "On/off state of this fan",
+                    label: "Fan state",
+                    name: "state",
+                    property: "fan_state",
+                    type: "binary",
+                    value_off: "OFF",
+                    value_on: "ON"
+                },
+                {
+                    access: 7, // read/write/publish
+                    description: "Mode of this fan",
+                    label: "Fan mode",
+                    name: "mode",
+                    property: "fan_mode",
+                    type: "enum",
+                    values: FAN_MODES
+                }
+            ]
+        });
+    }
+   
+    // Power metering (per endpoint for multi-channel meters)
+    (deviceInfo.energy || []).forEach(feature => {
+        const expose = {
+            access: 5, // read/publish
+            description: feature.description,
+            label: feature.label,
+            name: feature.property,
+            property: feature.property,
+            type: "numeric",
+            unit: feature.unit
+        };
+       
+        if (feature.channels > 1) {
+            for (let i = 1; i <= feature.channels; i++) {
+                exposes.push({ ...expose, endpoint: endpointName(deviceInfo, i), property: `${feature.property}_${endpointName(deviceInfo, i)}` });
+            }
+        } else {
+            exposes.push(expose);
+        }
+    });
+   
+    // Environmental sensors (read-only)
+    (deviceInfo.sensors || []).forEach(sensor => {
+        exposes.push({
+            access: 5, // read/publish
+            description: sensor.description,
+            label: sensor.label,
+            name: sensor.name,
+            property: sensor.property,
+            type: "numeric",
+            unit: sensor.unit
+        });
+    });
+   
+    // Buttons: one action enum with the actions of all buttons
+    const buttons = (deviceInfo.inputs || {}).buttons || [];
+    if (buttons.length > 0) {
+        const values = [];
+        buttons.forEach(button => {
+            ['single', 'double', 'triple', 'hold', 'release'].forEach(action => {
+                values.push(`${action}${inputSuffix(buttons, button.index)}`);
+            });
+        });
+        exposes.push({
+            access: 1, // publish
+            description: "Triggered action (e.g. a button click)",
+            label: "Action",
+            name: "action",
+            property: "action",
+            type: "enum",
+            values: values
+        });
+    }
+   
+    // Switch inputs: contact or occupancy binary sensors
+    const switches = (deviceInfo.inputs || {}).switches || [];
+    switches.forEach(input => {
+        const suffix = inputSuffix(switches, input.index);
+        exposes.push(input.sensor === 'occupancy' ? {
+            access: 1, // publish
+            description: "Indicates whether the device detected occupancy",
+            label: "Occupancy",
+            name: "occupancy",
+            property: `occupancy${suffix}`,
+            type: "binary",
+            value_off: false,
+            value_on: true
+        } : {
+            access: 1, // publish
+            description: "Indicates if the contact is closed (= true) or open (= false)",
+            label: "Contact",
+            name: "contact",
+            property: `contact${suffix}`,
+            type: "binary",
+            value_off: true,
+            value_on: false
+        });
+    });
+   
+    // Linkquality
+    exposes.push({
+        access: 1,
+        category: "diagnostic",
+        description: "Link quality (signal strength)",
+        label: "Linkquality",
+        name: "linkquality",
+        property: "linkquality",
+        type: "numeric",
+        unit: "lqi",
+        value_max: 255,
+        value_min: 0
+    });
+   
+    // CHANGED: Create endpoints for each relay
+    const endpoints = {};
+    for (let i = 1; i <= deviceInfo.relayCount; i++) {
+        const shutter = shutterOfChannel(deviceInfo, i);
+        if (shutter && i !== shutter.relay) continue;
+        const fanChannel = i === fanEndpoint(deviceInfo);
+        if (isFanRelay(deviceInfo, i) && !fanChannel) continue;
+       
+        endpoints[i.toString()] = {
+            bindings: [],
+            clusters: {
+                input: shutter
+                    ? ['genBasic', 'genIdentify', 'closuresWindowCovering']
+                    : fanChannel
+                    ? ['genBasic', 'genIdentify', 'hvacFanCtrl']
+                    : i !== deviceInfo.lightChannel
+                    ? ['genBasic', 'genIdentify', 'genOnOff']
+                    : (deviceInfo.light.color || deviceInfo.light.colorTemp)
+                        ? ['genBasic', 'genIdentify', 'genOnOff', 'genLevelCtrl', 'lightingColorCtrl']
+                        : ['genBasic', 'genIdentify', 'genOnOff', 'genLevelCtrl'],
+                output: []
+            },
+            configured_reportings: [],
+            name: endpointName(deviceInfo, i),
+            scenes: []
+        };
+    }
+   
+    // Pure sensor devices get a single endpoint
+    if (deviceInfo.relayCount === 0) {
+        endpoints['1'] = {
+            bindings: [],
+            clusters: {
+                input: ['genBasic', 'genIdentify', 'msTemperatureMeasurement', 'msRelativeHumidity', 'msPressureMeasurement', 'msIlluminanceMeasurement'],
+                output: []
+            },
+            configured_reportings: [],
+            scenes: []
+        };
+    }
+   
+    return {
+        ieee_address: ieee,
+        type: 'Router',
+        network_address: parseInt(mac.replace(/:/g, '').substring(8), 16),
+        supported: true,
+        friendly_name: friendlyName,
+        disabled: false,
+        definition: {
+            model: overrides.model || deviceInfo.model || 'Generic',
+            vendor: overrides.vendor || 'Sonoff',
+            description: overrides.description || `Sonoff ${deviceInfo.model || 'Device'}`,
+            exposes: exposes,
+            options: [],
+            supports_ota: isOtaSupported(deviceInfo),
+            source: "native"
+        },
+        power_source: 'Mains (single phase)',
+        model_id: deviceInfo.model || 'Generic',
+        manufacturer: 'Sonoff',
+        endpoints: endpoints,
+        interview_completed: true,
+        interviewing: false,
+        interview_state: "SUCCESSFUL",
+        software_build_id: deviceInfo.version || '1.0.0',
+        date_code: new Date().toISOString().split('T')[0].replace(/-/g, '')
+    };
+}
+/**
+ * Creates the Zigbee2MQTT bridge information payload of a bridge
+ */
+function createBridgeInfo(bridge) {
+    const info = {
+        version: CONFIG.bridgeVersion,
+        commit: CONFIG.bridgeCommit,
+        coordinator: {
+            ieee_address: bridge.coordinatorIeee,
+            type: 'sonoff-bridge',
+            meta: {
+                revision: 20230507,
+                maintrel: 1,
+                majorrel: 2,
+                minorrel: 7,
+                product: 1,
+                transportrev: 2
+            }
+        },
+        zigbee_herdsman: { version: "7.0.4" },
+        zigbee_herdsman_converters: { version: "25.83.1" },
+        network: {
+            channel: 15,
+            extended_pan_id: bridge.coordinatorIeee,
+            pan_id: 0815
+        },
+        log_level: CONFIG.debug ? 'debug' : 'error',
+        permit_join: bridge.permitJoin.value,
+        restart_required: false,
+        config: {
+            advanced: {
+                output: 'json',
+                legacy_api: false,
+                legacy_availability_payload: false,
+                cache_state: true,
+                cache_state_persistent: !!bridge.registryState,
+                cache_state_send_on_startup: true,
+                elapsed: false,
+                last_seen: CONFIG.lastSeen,
+                log_level: CONFIG.debug ? 'debug' : 'error',
+                pan_id: 6754,
+                channel: 15,
+                transmit_power: 20
+            },
+            availability: {
+                active: { timeout: 10 },
+                passive: { timeout: 1500 },
+                enabled: true
+            },
+            devices: {},
+            groups: {},
+            homeassistant: { enabled: false },
+            mqtt: {
+                base_topic: bridge.baseTopic,
+                server: 'mqtt://localhost',
+                version: 4
+            },
+            serial: {
+                adapter: 'sonoff-bridge',
+                port: 'virtual'
+            },
+            frontend: {
+                enabled: true,
+                package: 'zigbee2mqtt-frontend',
+                port: 8080
+            }
+        },
+        mqtt: {
+            server: 'mqtt://localhost',
+            version: 4
+        }
+    };
+   
+    if (bridge.permitJoin.end) {
+        info.permit_join_end = bridge.permitJoin.end;
+        info.permit_join_timeout = Math.max(0, Math.round((bridge.permitJoin.end - Date.now()) / 1000));
+    }
+   
+    // Options changed via bridge/request/options
+    mergeDeep(info.config, bridge.settings.bridge);
+    info.log_level = info.config.advanced.log_level;
+   
+    // Per-device options (friendly name and options set via bridge/request/device/*)
+    bridgeDevices(bridge).forEach(device => {
+        const settings = getDeviceSettings(bridge, device.mac);
+        info.config.devices[device.z2mDevice.ieee_address] = {
+            ...(settings.options || {}),
+            friendly_name: device.z2mDevice.friendly_name
+        };
+    });
+   
+    // Groups (CONFIG and bridge/request/group/*)
+    getGroups(bridge).forEach(group => {
+        info.config.groups[group.id] = { friendly_name: group.friendly_name };
+    });
+   
+    return info;
+}
+/**
+ * Publishes an MQTT message below the base topic of a bridge using its MQTT client adapter
+ * Retained messages are kept by the broker, so Matterbridge sees them right after its own (re)start
+ * (ioBroker.mqtt 6.1.4+ in client mode publishes sendMessage2Client with its "retain" flag, see README)
+ */
+function publishMqtt(bridge, topic, payload, retain = false) {
+    const fullTopic = `${bridge.baseTopic}/${topic}`;
+    const payloadStr = typeof payload === 'object' ? JSON.stringify(payload) : payload;
+   
+    sendTo(bridge.mqttAdapter, 'sendMessage2Client', {
+        topic: fullTopic,
+        message: payloadStr,
+        retain: retain
+    });
+   
+    logDebug(`Published${retain ? ' (retained)' : ''}: ${fullTopic} = ${payloadStr.substring(0, 100)}${payloadStr.length > 100 ? '...' : ''}`);
+}
+/**
+ * Publishes a retained bridge/* topic if its payload changed since the last publish (or if forced)
+ */
+function publishBridgeTopic(bridge, topic, payload, force = false) {
+    const payloadStr = JSON.stringify(payload);
+    if (!force && bridge.retainedTopics.get(topic) === payloadStr) return;
+   
+    bridge.retainedTopics.set(topic, payloadStr);
+    publishMqtt(bridge, topic, payloadStr, true);
+}
+/**
+ * Removes the retained messages of a device or group topic (after leave, remove or rename)
+ */
+function clearRetainedTopics(bridge, friendlyName) {
+    publishMqtt(bridge, friendlyName, '', true);
+    publishMqtt(bridge, `${friendlyName}/availability`, '', true);
+}
+/**
+ * Publishes a Zigbee2MQTT bridge/event message (device_joined, device_interview, device_leave)
+ */
+function publishBridgeEvent(bridge, type, data) {
+    publishMqtt(bridge, 'bridge/event', { type: type, data: data });
+}
+/**
+ * Publishes all important bridge information topics of a bridge
+ * Only changed topics are published, unless forced (after a reconnect of the MQTT adapter)
+ */
+async function publishBridgeTopics(bridge, force = false) {
+    // Bridge Info
+    publishBridgeTopic(bridge, 'bridge/info', createBridgeInfo(bridge), force);
+   
+    // Bridge Devices
+    const devices = [
+        {
+            disabled: false,
+            friendly_name: "Coordinator",
+            ieee_address: bridge.coordinatorIeee,
+            interview_completed: true,
+            interview_state: "SUCCESSFUL",
+            interviewing: false,
+            network_address: 0,
+            supported: true,
+            type: "Coordinator",
+            definition: {
+                model: CONFIG.coordinatormodel,
+                vendor: CONFIG.coordinatorvendor,
+                description: CONFIG.coordinatordescription
+            }
+        },
+        // all Sonoff devices of the bridge
+        ...bridgeDevices(bridge).map(dev => dev.z2mDevice)
+    ];
+    publishBridgeTopic(bridge, 'bridge/devices', devices, force);
+   
+    // Bridge Groups
+    publishBridgeTopic(bridge, 'bridge/groups', createGroupDefinitions(bridge), force);
+    publishGroupStates(bridge);
+   
+    // Bridge Extensions
+    publishBridgeTopic(bridge, 'bridge/extensions', [], force);
+   
+    // Bridge State
+    publishBridgeTopic(bridge, 'bridge/state', {state: 'online'}, force);
+   
+    logDebug(`Bridge topics of ${bridge.baseTopic} published with ${devices.length} devices (including coordinator)`);
+    scheduleRegistrySave(bridge);
+}
+/**
+ * Builds color, color_temp and color_mode payload values of the light
+ */
+function lightColorPayloadValues(device) {
+    const light = device.light;
+    const color = device.lastColor;
+    const suffix = channelSuffix(device, device.lightChannel);
+    const result = {};
+   
+    if (light.colorTemp && color.colorTemp !== null) {
+        result[`color_temp${suffix}`] = color.colorTemp;
+    }
+   
+    if (light.color && color.hue !== null) {
+        const rgb = hsvToRgb(color.hue, color.saturation, 100);
+        result[`color${suffix}`] = {
+            ...rgbToXy(...rgb),
+            hue: color.hue,
+            saturation: color.saturation,
+            hex: rgbToHex(...rgb)
+        };
+    }
+   
+    if (light.color || light.colorTemp) {
+        let colorMode;
+        if (!light.color) {
+            colorMode = 'color_temp';
+        } else if (!light.colorTemp) {
+            colorMode = 'hs';
+        } else if (color.white !== null) {
+            colorMode = color.white > 0 ? 'color_temp' : 'hs';
+        } else {
+            colorMode = color.saturation === 0 ? 'color_temp' : 'hs';
+        }
+        result[`color_mode${suffix}`] = colorMode;
+    }
+   
+    return result;
+}
+/**
+ * Publishes device state and availability to Zigbee2MQTT topics
+ * CHANGED: Now supports multi-relay devices with state_l1, state_l2, etc.
+ */
+function publishDeviceState(mac, states, available = true, transient = {}) {
+    const device = sonoffDevices.get(mac);
+    if (!device) return;
+   
+    const bridge = bridgeOf(device);
+    const friendlyName = device.z2mDevice.friendly_name;
+   
+    // Build payload with all relay states
+    const payload = {
+        linkquality: device.lastLinkquality !== null ? device.lastLinkquality : 255
+    };
+   
+    const lastSeen = formatLastSeen(bridge, device.lastSeen);
+    if (lastSeen !== null) {
+        payload.last_seen = lastSeen;
+    }
+    
+    // CHANGED: Add state for each relay ("state" for single channel devices, "state_l1", "state_l2", etc. otherwise)
+    for (let i = 1; i <= device.relayCount; i++) {
+        if (!shutterOfChannel(device, i) && !isFanRelay(device, i)) {
+            payload[`state${channelSuffix(device, i)}`] = states[i - 1] ? 'ON' : 'OFF';
+        }
+    }
+    
+    // Add the configured power-on behavior of the device and the countdown of each relay
+    if (device.lastPowerOnBehavior && configurableChannels(device).length > 0) {
+        payload.power_on_behavior = device.lastPowerOnBehavior;
+    }
+    configurableChannels(device).forEach(i => {
+        const suffix = channelSuffix(device, i);
+        if (device.lastPulseTimes[i - 1] !== null && device.lastPulseTimes[i - 1] !== undefined) {
+            payload[`countdown${suffix}`] = device.lastPulseTimes[i - 1];
+        }
+    });
+    
+    // Add fan state and mode
+    if (device.fan && device.fan.speed !== null) {
+        payload.fan_state = device.fan.speed > 0 ? 'ON' : 'OFF';
+        payload.fan_mode = FAN_MODES[device.fan.speed] || 'high';
+    }
+    
+    // Add state and position of each shutter (state follows the direction while moving)
+    (device.shutters || []).forEach(shutter => {
+        if (shutter.position === null) return;
+        const suffix = channelSuffix(device, shutter.relay);
+        payload[`position${suffix}`] = shutter.position;
+        payload[`state${suffix}`] = shutter.direction !== 0
+            ? (shutter.direction > 0 ? 'OPEN' : 'CLOSE')
+            : (shutter.position > 0 ? 'OPEN' : 'CLOSE');
+    });
+    
+    // Add brightness of the dimmer channel
+    if (device.lightChannel && device.lastBrightness !== null) {
+        payload[`brightness${channelSuffix(device, device.lightChannel)}`] = device.lastBrightness;
+    }
+    
+    // Add color and color temperature of the light
+    if (device.lightChannel) {
+        Object.assign(payload, lightColorPayloadValues(device));
+    }
+    
+    // Add last known power metering and sensor values
+    Object.assign(payload, device.lastEnergy);
+    Object.assign(payload, device.lastSensors);
+    Object.assign(payload, device.lastInputs);
+    
+    // OTA update state (after bridge/request/device/ota_update/*)
+    if (device.otaUpdate) {
+        payload.update = {
+            state: device.otaUpdate.state,
+            installed_version: device.version,
+            latest_version: device.otaUpdate.latestVersion
+        };
+        if (device.otaUpdate.state === 'updating') {
+            payload.update.progress = device.otaUpdate.progress;
+        }
+    }
+    
+    // Transient values (e.g. button actions) are only part of this message, like in Zigbee2MQTT
+    // and are not retained, so they are not replayed to new subscribers
+    Object.assign(payload, transient);
+    
+    publishMqtt(bridge, friendlyName, payload, Object.keys(transient).length === 0);
+    publishMqtt(bridge, `${friendlyName}/availability`, { state: available ? 'online' : 'offline' }, true);
+   
+    logDebug(`Published state for ${friendlyName}: ${JSON.stringify(payload)}, available: ${available}`);
+    scheduleRegistrySave(bridge);
+   
+    // Groups containing this device
+    publishGroupStates(bridge, device);
+}
+// ==================== PERSISTENT SETTINGS ====================
+/**
+ * Loads the persisted settings of a bridge (renames, device options, bridge options)
+ */
+async function loadSettings(bridge) {
+    await createJsonState(bridge.settingsState, 'Sonoff to Zigbee2MQTT bridge settings');
+   
+    try {
+        const stored = JSON.parse(getStateValue(bridge.settingsState) || '{}');
+        bridge.settings = {
+            devices: stored.devices || {},
+            bridge: stored.bridge || {},
+            groups: stored.groups || {}
+        };
+        logDebug(`Loaded settings for ${Object.keys(bridge.settings.devices).length} device(s) of ${bridge.baseTopic}`);
+    } catch (e) {
+        logError(`Invalid settings in ${bridge.settingsState}: ${e.message}`);
+    }
+}
+/**
+ * Creates a JSON state for persisted data if it does not exist yet
+ */
+async function createJsonState(id, name) {
+    if (existsState(id)) return;
+   
+    await new Promise(resolve => createState(id, '{}', {
+        name: name,
+        type: 'string',
+        role: 'json',
+        read: true,
+        write: true
+    }, resolve));
+    logInfo(`Created state ${id}`);
+}
+/**
+ * Saves the settings of a bridge to its settings state
+ */
+function saveSettings(bridge) {
+    setState(bridge.settingsState, JSON.stringify(bridge.settings), true);
+}
+/**
+ * Returns the persisted settings of a device (by MAC)
+ */
+function getDeviceSettings(bridge, mac) {
+    return bridge.settings.devices[mac] || {};
+}
+/**
+ * Updates and saves the persisted settings of a device (by MAC)
+ */
+function updateDeviceSettings(bridge, mac, changes) {
+    bridge.settings.devices[mac] = { ...getDeviceSettings(bridge, mac), ...changes };
+    saveSettings(bridge);
+}
+// ==================== DEVICE REGISTRY ====================
+// Identity and features of a device, everything loadRegistry needs to register it again,
+// and the countdowns to put back after a timed switch-on (the device keeps the temporary PulseTime otherwise)
+const REGISTRY_KEYS = ['source', 'friendlyName', 'model', 'version', 'capabilities', 'relayCount', 'lightChannel', 'light', 'shutters', 'fan', 'energy', 'sensors', 'inputs', 'restoreCountdowns'];
+// Cached values of a device (written to the registry if cache_state_persistent is enabled)
+const CACHED_STATE_KEYS = ['lastStates', 'lastBrightness', 'lastColor', 'lastEnergy', 'lastSensors', 'lastInputs', 'lastLinkquality', 'lastSeen', 'lastPowerOnBehavior', 'lastPulseTimes'];
+/**
+ * Returns an advanced bridge option (bridge/request/options), with the advertised default true
+ */
+function isCacheOptionEnabled(bridge, option) {
+    return (bridge.settings.bridge.advanced || {})[option] !== false;
+}
+/**
+ * Loads the persisted device registry of a bridge and registers all known devices as offline
+ * The adapter scan afterwards replaces them with the current data of every device it finds
+ * Entries without source (older registries) belong to CONFIG.sonoffAdapter
+ */
+async function loadRegistry(bridge) {
+    if (!bridge.registryState) return;
+   
+    await createJsonState(bridge.registryState, 'Sonoff to Zigbee2MQTT device registry');
+   
+    let stored;
+    try {
+        stored = JSON.parse(getStateValue(bridge.registryState) || '{}');
+    } catch (e) {
+        logError(`Invalid registry in ${bridge.registryState}: ${e.message}`);
+        return;
+    }
+   
+    const persistent = isCacheOptionEnabled(bridge, 'cache_state_persistent');
+    let restored = 0;
+    Object.keys(stored.devices || {}).forEach(mac => {
+        const entry = stored.devices[mac];
+        const source = sources.get(entry.source || CONFIG.sonoffAdapter);
+        if (!source || source.bridge !== bridge) {
+            logInfo(`Device ${entry.friendlyName} (${mac}) in ${bridge.registryState} belongs to no Sonoff adapter of ${bridge.baseTopic}, skipped`);
+            return;
+        }
+        if (sonoffDevices.has(mac)) {
+            logError(`IEEE collision: ${entry.friendlyName} (${mac}) is already registered on ${bridgeOf(sonoffDevices.get(mac)).baseTopic}, skipped`);
+            return;
+        }
+        const overrides = getDeviceOverrides(mac, entry.friendlyName);
+        if (getDeviceSettings(bridge, mac).blocked || overrides.exclude) return;
+       
+        try {
+            const deviceInfo = {
+                ...entry,
+                source: source.adapter,
+                mac: mac,
+                overrides: overrides,
+                lastStates: new Array(entry.relayCount).fill(null),
+                lastBrightness: null,
+                lastColor: { hue: null, saturation: null, colorTemp: null, white: null },
+                lastEnergy: {},
+                lastSensors: {},
+                lastInputs: {},
+                lastLinkquality: null,
+                lastSeen: null,
+                lastPowerOnBehavior: null,
+                lastPulseTimes: new Array(entry.relayCount).fill(null),
+                interlock: null,
+                offWaitUntil: [],
+                restoreCountdowns: entry.restoreCountdowns || [],
+                lastLedState: null,
+                otaUpdate: null,
+                lastAvailable: false
+            };
+            if (persistent) {
+                restoreCachedState(deviceInfo, entry);
+            }
+            deviceInfo.z2mDevice = createZ2MDeviceDefinition(deviceInfo);
+            sonoffDevices.set(mac, deviceInfo);
+            indexTasmotaTopic(deviceInfo);
+            restored++;
+        } catch (e) {
+            logError(`Error restoring device ${entry.friendlyName} (${mac}) from registry: ${e.message}`);
+        }
+    });
+   
+    logInfo(`Restored ${restored} device(s) of ${bridge.baseTopic} from registry${persistent ? ' with cached state' : ''}`);
+}
+/**
+ * Copies the cached values of an earlier registration (registry or previous discovery) into a device
+ * Values the Sonoff adapter reports later on overwrite them
+ */
+function restoreCachedState(deviceInfo, cached) {
+    if (!cached) return;
+   
+    CACHED_STATE_KEYS.forEach(key => {
+        if (cached[key] === undefined || cached[key] === null) return;
+        if (Array.isArray(cached[key])) {
+            cached[key].slice(0, deviceInfo.relayCount).forEach((value, i) => { deviceInfo[key][i] = value; });
+        } else {
+            deviceInfo[key] = typeof cached[key] === 'object' ? { ...deviceInfo[key], ...cached[key] } : cached[key];
+        }
+    });
+   
+    if (deviceInfo.fan && cached.fan) {
+        deviceInfo.fan.speed = cached.fan.speed;
+        deviceInfo.fan.lastOnSpeed = cached.fan.lastOnSpeed;
+    }
+    deviceInfo.shutters.forEach(shutter => {
+        const previous = (cached.shutters || []).find(sh => sh.index === shutter.index);
+        if (previous) {
+            shutter.position = previous.position;
+        }
+    });
+}
+/**
+ * Writes all registered devices of a bridge to its registry state
+ * The last states are only included if cache_state_persistent is enabled
+ */
+function saveRegistry(bridge) {
+    if (!bridge.registryState) return;
+   
+    if (bridge.registrySaveTimer) {
+        clearTimeout(bridge.registrySaveTimer);
+        bridge.registrySaveTimer = null;
+    }
+   
+    const persistent = isCacheOptionEnabled(bridge, 'cache_state_persistent');
+    const devices = {};
+    bridgeDevices(bridge).forEach(device => {
+        const entry = {};
+        REGISTRY_KEYS.concat(persistent ? CACHED_STATE_KEYS : []).forEach(key => {
+            if (device[key] !== undefined) entry[key] = device[key];
+        });
+        devices[device.mac] = entry;
+    });
+   
+    setState(bridge.registryState, JSON.stringify({ devices: devices }), true);
+    logDebug(`Saved ${Object.keys(devices).length} device(s) to registry of ${bridge.baseTopic}`);
+}
+/**
+ * Schedules a registry write; state changes arrive in bursts, so writes are collected
+ */
+function scheduleRegistrySave(bridge) {
+    if (!bridge.registryState || !initialized || bridge.registrySaveTimer) return;
+   
+    bridge.registrySaveTimer = setTimeout(() => {
+        bridge.registrySaveTimer = null;
+        saveRegistry(bridge);
+    }, CONFIG.registrySaveDelay * 1000);
+}
+/**
+ * Publishes the cached state of all devices of a bridge after startup (cache_state_send_on_startup)
+ * Without it only the availability is published
+ */
+function publishCachedStates(bridge) {
+    const sendState = isCacheOptionEnabled(bridge, 'cache_state_send_on_startup');
+   
+    bridgeDevices(bridge).forEach(device => {
+        const available = device.lastAvailable !== false;
+        if (sendState) {
+            publishDeviceState(device.mac, device.lastStates, available);
+        } else {
+            publishMqtt(bridge, `${device.z2mDevice.friendly_name}/availability`, { state: available ? 'online' : 'offline' }, true);
+        }
+    });
+}
+/**
+ * Republishes all bridge topics, device states, availability and group states of a bridge
+ * (e.g. after the broker lost its retained messages)
+ */
+async function republishAll(bridge) {
+    await publishBridgeTopics(bridge, true);
+    bridgeDevices(bridge).forEach(device => {
+        publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+    });
+    bridge.groupStates.clear();
+    publishGroupStates(bridge);
+}
+// ==================== GROUPS ====================
+/**
+ * Parses a group member: 'Device', 'Device/l2', 'Device/<endpoint name>' or { device, endpoint } → { device, endpoint }
+ * The endpoint is resolved when the device is known (see resolveGroupMembers)
+ */
+function parseGroupMember(member) {
+    if (member && typeof member === 'object') {
+        return { device: String(member.device), endpoint: member.endpoint };
+    }
+    const index = String(member).lastIndexOf('/');
+    return index > 0
+        ? { device: String(member).substring(0, index), endpoint: String(member).substring(index + 1) }
+        : { device: String(member), endpoint: undefined };
+}
+/**
+ * Parses an endpoint ('l2', '2' or 2), defaults to 1
+ */
+function parseEndpoint(endpoint) {
+    const number = parseInt(String(endpoint === undefined || endpoint === null ? '' : endpoint).replace(/^l/, ''));
+    return isNaN(number) ? 1 : number;
+}
+/**
+ * Returns all groups of a bridge: its configured groups overlaid with the groups persisted by bridge/request/group/*
+ * (persisted null = removed)
+ */
+function getGroups(bridge) {
+    const groups = new Map();
+    (bridge.groups || []).forEach(group => {
+        groups.set(String(group.id), {
+            id: parseInt(group.id),
+            friendly_name: group.friendly_name,
+            members: (group.members || []).map(parseGroupMember)
+        });
+    });
+    Object.keys(bridge.settings.groups).forEach(id => {
+        const group = bridge.settings.groups[id];
+        if (group === null) {
+            groups.delete(id);
+        } else {
+            groups.set(id, { id: parseInt(id), friendly_name: group.friendly_name, members: group.members.map(parseGroupMember) });
+        }
+    });
+    return Array.from(groups.values()).sort((a, b) => a.id - b.id);
+}
+/**
+ * Finds a group by friendly name or id
+ */
+function findGroupById(bridge, id) {
+    return getGroups(bridge).find(group => group.friendly_name === id || String(group.id) === String(id)) || null;
+}
+/**
+ * Persists a group (null removes it)
+ */
+function saveGroup(bridge, id, group) {
+    bridge.settings.groups[id] = group
+        ? { friendly_name: group.friendly_name, members: group.members.map(m => ({ device: m.device, endpoint: m.endpoint })) }
+        : null;
+    bridge.groupStates.delete(id);
+    saveSettings(bridge);
+}
+/**
+ * Finds the device of a group member within a bridge: Z2M friendly name, IEEE address, Sonoff adapter name or MAC
+ */
+function findMemberDevice(bridge, id) {
+    return findDeviceById(bridge, id) || bridgeDevices(bridge).find(dev => dev.friendlyName === id || dev.mac === id) || null;
+}
+/**
+ * Resolves the members of a group to registered devices and existing endpoints
+ */
+function resolveGroupMembers(bridge, group) {
+    return group.members
+        .map(member => {
+            const device = findMemberDevice(bridge, member.device);
+            return { device: device, endpoint: device ? resolveEndpoint(device, member.endpoint) : null };
+        })
+        .filter(member => member.device && member.device.z2mDevice.endpoints[String(member.endpoint)]);
+}
+/**
+ * Creates the bridge/groups payload of a bridge
+ */
+function createGroupDefinitions(bridge) {
+    return getGroups(bridge).map(group => ({
+        id: group.id,
+        friendly_name: group.friendly_name,
+        members: resolveGroupMembers(bridge, group).map(member => ({
+            ieee_address: member.device.z2mDevice.ieee_address,
+            endpoint: member.endpoint
+        })),
+        scenes: []
+    }));
+}
+/**
+ * Publishes the aggregated state of the groups (ON if any member is ON)
+ * Only groups containing the given device and with a changed state are published (all groups without device)
+ */
+function publishGroupStates(bridge, device = null) {
+    getGroups(bridge).forEach(group => {
+        const members = resolveGroupMembers(bridge, group);
+        if (device && !members.some(member => member.device === device)) return;
+       
+        const states = members.map(member => member.device.lastStates[member.endpoint - 1]).filter(state => state !== null && state !== undefined);
+        if (states.length === 0) return;
+       
+        const state = states.some(Boolean) ? 'ON' : 'OFF';
+        if (device && bridge.groupStates.get(String(group.id)) === state) return;
+       
+        bridge.groupStates.set(String(group.id), state);
+        publishMqtt(bridge, group.friendly_name, { state: state }, true);
+        logDebug(`Published state of group ${group.friendly_name}: ${state}`);
+    });
+}
+/**
+ * Handles set commands to a group: the command is sent to each member endpoint
+ * (e.g. {"state": "ON"} becomes {"state_l2": "ON"} for member Dual/l2)
+ */
+function handleGroupSetCommand(bridge, group, payload) {
+    let cmd;
+    try {
+        cmd = JSON.parse(payload);
+    } catch (e) {
+        logError(`Error processing group set command: ${e.message}`);
+        return;
+    }
+   
+    resolveGroupMembers(bridge, group).forEach(member => {
+        const suffix = channelSuffix(member.device, member.endpoint);
+        const memberCmd = {};
+        Object.keys(cmd).forEach(key => {
+            memberCmd[`${key}${suffix}`] = cmd[key];
+        });
+        handleZ2MSetCommand(bridge, member.device.z2mDevice.friendly_name, JSON.stringify(memberCmd));
+    });
+}
+// ==================== SONOFF DEVICE DISCOVERY ====================
+/**
+ * Schedules a (re)discovery of a device after its objects changed
+ * Debounced, because the Sonoff adapter creates or deletes many objects at once
+ */
+function scheduleDeviceDiscovery(source, friendlyName) {
+    if (!initialized) return;
+   
+    const key = `${source.adapter}.${friendlyName}`;
+    if (pendingDiscoveries.has(key)) {
+        clearTimeout(pendingDiscoveries.get(key));
+    }
+   
+    pendingDiscoveries.set(key, setTimeout(() => {
+        pendingDiscoveries.delete(key);
+        refreshSonoffDevice(source, friendlyName);
+    }, CONFIG.discoveryDelay * 1000));
+}
+/**
+ * Stops the timers of a device that is dropped: brightness_move, command confirmations,
+ * collected state publishes and a running OTA update (its request fails with the given error)
+ */
+function releaseDevice(device, error) {
+    stopBrightnessMove(device);
+    finishOtaUpdate(device, error);
+    pendingPowerCommands.forEach((pending, key) => {
+        if (!key.startsWith(`${device.mac}/`)) return;
+        clearTimeout(pending.timer);
+        pendingPowerCommands.delete(key);
+    });
+    if (pendingStatePublishes.has(device.mac)) {
+        clearTimeout(pendingStatePublishes.get(device.mac));
+        pendingStatePublishes.delete(device.mac);
+    }
+}
+/**
+ * Unregisters a device and announces it with a device_leave event
+ */
+function unregisterSonoffDevice(device) {
+    const bridge = bridgeOf(device);
+    const friendlyName = device.z2mDevice.friendly_name;
+   
+    releaseDevice(device, new Error(`'${friendlyName}' left the network`));
+    if (sonoffDevices.get(device.mac) === device) {
+        sonoffDevices.delete(device.mac);
+    }
+    clearRetainedTopics(bridge, friendlyName);
+    publishBridgeEvent(bridge, 'device_leave', {
+        ieee_address: device.z2mDevice.ieee_address,
+        friendly_name: friendlyName
+    });
+   
+    logInfo(`Device left: ${friendlyName} (${device.mac})`);
+}
+/**
+ * Registers, updates or unregisters a single device after its objects changed
+ * Emits the Zigbee2MQTT bridge/event messages and republishes bridge/devices
+ */
+function refreshSonoffDevice(source, friendlyName) {
+    const bridge = source.bridge;
+    const existing = findDeviceByFriendlyName(source, friendlyName);
+    const macState = `${source.adapter}.${friendlyName}.STATUS.StatusNET_Mac`;
+   
+    if (existing) {
+        stopBrightnessMove(existing);
+    }
+   
+    const deviceInfo = existsState(macState) ? processSonoffDevice(source, friendlyName) : null;
+   
+    if (existing && (!deviceInfo || existing.mac !== deviceInfo.mac)) {
+        if (!deviceInfo) {
+            unregisterSonoffDevice(existing);
+        } else {
+            // Same adapter name, but a different device (e.g. replaced plug)
+            unregisterSonoffDevice(existing);
+        }
+    }
+   
+    if (deviceInfo) {
+        const z2mDevice = deviceInfo.z2mDevice;
+        const isNew = !existing || existing.mac !== deviceInfo.mac;
+        const changed = isNew || JSON.stringify(existing.z2mDevice.definition) !== JSON.stringify(z2mDevice.definition);
+       
+        if (!changed) {
+            logDebug(`Device ${friendlyName} unchanged after object change`);
+            return;
+        }
+       
+        if (isNew) {
+            publishBridgeEvent(bridge, 'device_joined', {
+                friendly_name: z2mDevice.friendly_name,
+                ieee_address: z2mDevice.ieee_address
+            });
+            logInfo(`Device joined: ${z2mDevice.friendly_name} (${deviceInfo.mac})`);
+        } else {
+            logInfo(`Device changed: ${z2mDevice.friendly_name} (${deviceInfo.mac}), re-interviewing`);
+        }
+       
+        publishBridgeEvent(bridge, 'device_interview', {
+            friendly_name: z2mDevice.friendly_name,
+            ieee_address: z2mDevice.ieee_address,
+            status: 'started'
+        });
+        publishBridgeEvent(bridge, 'device_interview', {
+            friendly_name: z2mDevice.friendly_name,
+            ieee_address: z2mDevice.ieee_address,
+            status: 'successful',
+            supported: z2mDevice.supported,
+            definition: z2mDevice.definition
+        });
+    } else if (!existing) {
+        return;
+    }
+   
+    publishBridgeTopics(bridge);
+}
+/**
+ * Scans the Sonoff adapters of a bridge for devices
+ */
+function scanSonoffDevices(bridge) {
+    logInfo(`Scanning for Sonoff devices of ${bridge.baseTopic}...`);
+    const found = new Set();
+   
+    bridge.sources.forEach(source => {
+        // Search all objects under sonoff.x.*
+        const allObjects = $(`${source.adapter}.*`);
+       
+        // Find all device folders (which contain a MacAddress)
+        const deviceFolders = new Set();
+       
+        allObjects.each((id) => {
+            if (id.includes('.STATUS.StatusNET_Mac')) {
+                // Extract friendlyName
+                const parts = id.split('.');
+                if (parts.length >= 3) {
+                    const friendlyName = parts[2];
+                    deviceFolders.add(friendlyName);
+                }
+            }
+        });
+       
+        logInfo(`Found ${deviceFolders.size} potential Sonoff device(s) in ${source.adapter}`);
+       
+        // Process each found device
+        deviceFolders.forEach(friendlyName => {
+            found.add(`${source.adapter}.${friendlyName}`);
+            processSonoffDevice(source, friendlyName);
+        });
+    });
+   
+    // Devices from the registry the adapter does not know (anymore) stay registered as offline
+    const devices = bridgeDevices(bridge);
+    devices.forEach(device => {
+        if (!found.has(`${device.source}.${device.friendlyName}`)) {
+            logInfo(`Device ${device.z2mDevice.friendly_name} (${device.mac}) not found in ${device.source}, reported offline`);
+        }
+    });
+   
+    logInfo(`Registered ${devices.length} Sonoff device(s) on ${bridge.baseTopic}`);
+}
+/**
+ * Processes a single Sonoff device of a source
+ * CHANGED: Now supports multi-relay devices
+ * Returns the registered device info or null if the device was skipped
+ */
+function processSonoffDevice(source, friendlyName) {
+    try {
+        // Read MAC address
+        const macState = `${source.adapter}.${friendlyName}.STATUS.StatusNET_Mac`;
+        const mac = getStateValue(macState);
+       
+        if (!mac) {
+            logDebug(`No MAC address found for ${friendlyName}`);
+            return null;
+        }
+       
+        // The IEEE address is derived from the MAC: the same MAC in another Sonoff adapter is a collision
+        // while that adapter still reports it, otherwise the device moved (e.g. to another broker)
+        const previous = sonoffDevices.get(mac);
+        if (previous && previous.source !== source.adapter) {
+            if (getStateValue(`${previous.source}.${previous.friendlyName}.STATUS.StatusNET_Mac`) === mac) {
+                logError(`IEEE collision: ${source.adapter}.${friendlyName} reports the MAC ${mac} of ${previous.source}.${previous.friendlyName}, skipping`);
+                return null;
+            }
+            logInfo(`Device ${friendlyName} (${mac}) moved from ${previous.source} to ${source.adapter}`);
+        }
+       
+        // Devices removed with "block" stay hidden
+        if (getDeviceSettings(source.bridge, mac).blocked) {
+            logInfo(`Device ${friendlyName} (${mac}) is blocked, skipping`);
+            return null;
+        }
+       
+        // Per-device overrides (CONFIG.devices)
+        const overrides = getDeviceOverrides(mac, friendlyName);
+        if (overrides.exclude) {
+            logInfo(`Device ${friendlyName} (${mac}) is excluded in CONFIG.devices, skipping`);
+            return null;
+        }
+       
+        // Read model
+        const modelState = `${source.adapter}.${friendlyName}.INFO.Info1_Module`;
+        const model = getStateValue(modelState);
+       
+        // Read firmware version
+        const versionState = `${source.adapter}.${friendlyName}.INFO.Info1_Version`;
+        const version = getStateValue(versionState);
+       
+        // Decode template/GPIO configuration into relays, PWM channels, ...
+        const capabilities = parseCapabilities(source, friendlyName);
+        const relays = capabilities.relays.length;
+       
+        // Detect dimmer/color light; it is switched by the POWER channel after the relays
+        const light = parseLight(source, friendlyName, capabilities);
+        const dimmer = light !== null;
+        const relayCount = relays + (dimmer ? 1 : 0);
+       
+        // Detect shutters (two relays each, exposed as cover)
+        const shutters = parseShutters(source, friendlyName, relays);
+       
+        // Detect iFan/fan controllers (FanSpeed, light on POWER1)
+        const fan = parseFan(source, friendlyName, model, relays);
+       
+        // Detect power metering
+        const energy = parseEnergy(source, friendlyName);
+       
+        // Detect environmental sensors
+        const sensors = parseSensors(source, friendlyName);
+       
+        // Detect buttons and switch inputs
+        const inputs = parseInputs(source, friendlyName, capabilities);
+        const inputCount = inputs.buttons.length + inputs.switches.length;
+       
+        // Debug output for all discovered devices
+        logDebug(`Device ${friendlyName}: MAC=${mac}, Model=${model}, Version=${version}, Relays=${relays}, Dimmer=${dimmer}, Energy=${energy.length}, Sensors=${sensors.length}, Inputs=${inputCount}`);
+       
+        // CHANGED: Accept devices with any number of relays (1-28) or pure sensor devices
+        if ((relayCount === 0 && sensors.length === 0 && inputCount === 0 && !fan) || relayCount > 28) {
+            logInfo(`Device ${friendlyName} has ${relayCount} relay(s)/dimmer(s) and no sensors or inputs, skipping (must have 1-28 relays, sensors or inputs)`);
+            return null;
+        }
+       
+        // CHANGED: Collect device information including relay count
+        const deviceInfo = {
+            source: source.adapter,                        // Sonoff adapter instance
+            mac: mac,
+            friendlyName: friendlyName,
+            overrides: overrides,                          // CONFIG.devices entries of this device
+            model: model,
+            version: version,
+            capabilities: capabilities,                    // Decoded template (relays, buttons, PWM, ...)
+            relayCount: relayCount,                        // Number of POWER channels (relays + dimmer)
+            lightChannel: dimmer ? relayCount : null,      // POWER channel of the dimmer light
+            light: light,
+            shutters: shutters,                            // { index, relay, position, direction }
+            fan: fan,                                      // { lightRelay, relays, speed, lastOnSpeed } or null
+            energy: energy,
+            sensors: sensors,
+            inputs: inputs,                                // { buttons, switches }
+            lastStates: new Array(relayCount).fill(null),  // CHANGED: Array of states
+            lastBrightness: null,
+            lastColor: { hue: null, saturation: null, colorTemp: null, white: null },
+            lastEnergy: {},
+            lastSensors: {},
+            lastInputs: {},
+            lastLinkquality: null,
+            lastSeen: null,
+            lastPowerOnBehavior: null,                     // PowerOnState (read back via RESULT)
+            lastPulseTimes: new Array(relayCount).fill(null), // PulseTime of each relay in seconds
+            interlock: null,                               // Groups of POWER channels switched exclusively ([[1, 2], [3, 4]])
+            offWaitUntil: [],                              // Per relay: ON commands are ignored until this time (off_wait_time)
+            restoreCountdowns: [],                         // Per relay: countdown to restore after a timed switch-on (on_time)
+            lastLedState: null,                            // LedState, restored after identify
+            otaUpdate: null,                               // { state, latestVersion, url, progress, ... } after an OTA check
+            lastAvailable: null
+        };
+       
+        // Create Z2M device definition
+        const z2mDevice = createZ2MDeviceDefinition(deviceInfo);
+        deviceInfo.z2mDevice = z2mDevice;
+       
+        // Z2M friendly names must be unique within a bridge (the device in the same folder is replaced)
+        const clash = bridgeDevices(source.bridge).find(dev => dev.mac !== mac && dev.z2mDevice.friendly_name === z2mDevice.friendly_name &&
+            !(dev.source === source.adapter && dev.friendlyName === friendlyName));
+        if (clash || getGroups(source.bridge).some(group => group.friendly_name === z2mDevice.friendly_name)) {
+            logError(`Friendly name collision on ${source.bridge.baseTopic}: '${z2mDevice.friendly_name}' of ${source.adapter}.${friendlyName} (${mac}) ` +
+                `is already used by ${clash ? `${clash.source}.${clash.friendlyName} (${clash.mac})` : 'a group'}, skipping (rename it by MAC in CONFIG.devices)`);
+            return null;
+        }
+       
+        // Keep the cached values of an earlier registration (e.g. from the registry)
+        restoreCachedState(deviceInfo, previous);
+        // A device restarting during an OTA update is rediscovered, the update goes on
+        if (previous && previous.otaUpdate) {
+            deviceInfo.otaUpdate = previous.otaUpdate;
+        }
+        // Running timed switching (on_time, off_wait_time) of a rediscovered device
+        if (previous && previous.restoreCountdowns) {
+            deviceInfo.restoreCountdowns = previous.restoreCountdowns;
+            deviceInfo.offWaitUntil = previous.offWaitUntil || [];
+        }
+       
+        // Add to device map
+        sonoffDevices.set(mac, deviceInfo);
+        indexTasmotaTopic(deviceInfo);
+       
+        // A device that moved to a bridge leaves its previous bridge
+        const previousBridge = previous ? bridgeOf(previous) : null;
+        if (previousBridge && previousBridge !== source.bridge) {
+            clearRetainedTopics(previousBridge, previous.z2mDevice.friendly_name);
+            publishBridgeTopics(previousBridge);
+        }
+       
+        logInfo(`Discovered Sonoff device: ${friendlyName} (${mac}) - Model: ${model}, Version: ${version}, Relays: ${relays}${fan ? ', Fan' : ''}${shutters.length > 0 ? `, Shutters: ${shutters.length}` : ''}${dimmer ? `, Light${light.color ? ' RGB' : ''}${light.colorTemp ? ' CT' : ''}` : ''}${energy.length > 0 ? ', Energy metering' : ''}${sensors.length > 0 ? `, Sensors: ${sensors.map(s => s.property).join('/')}` : ''}${inputCount > 0 ? `, Inputs: ${inputs.buttons.length} button(s)/${inputs.switches.length} switch(es)` : ''}`);
+       
+        // CHANGED: Read initial state for all relays and exposed features
+        readDeviceStates(deviceInfo);
+       
+        // Interlock groups stored by the Data Updater (also read back from Interlock results)
+        if (source.interlockStates) {
+            setInterlock(deviceInfo, getStateValue(`${source.interlockStates}.${friendlyName}`));
+        }
+       
+        const aliveState = `${source.adapter}.${friendlyName}.alive`;
+        const alive = getStateValue(aliveState);
+       
+        if (alive !== null) {
+            deviceInfo.lastAvailable = alive;
+        }
+       
+        if (alive === true || alive === 'true' || alive === 1) {
+            // Ask the device for the settings that have no Sonoff adapter datapoint (a rediscovery keeps them)
+            querySettingsOnce(deviceInfo);
+           
+            // A timed switch-on that ended while the script was not running (restored from the registry)
+            deviceInfo.lastStates.forEach((state, i) => {
+                if (state === false) finishTimedSwitching(deviceInfo, i + 1);
+            });
+        }
+       
+        // Publish initial state if we already finished initialization
+        if (initialized && alive !== null) {
+            publishDeviceState(mac, deviceInfo.lastStates, alive);
+        }
+       
+        return deviceInfo;
+       
+    } catch (e) {
+        logError(`Error processing device ${friendlyName}: ${e.message}`);
+        return null;
+    }
+}
+/**
+ * Reads the current POWER/POWERx and all other exposed states of a device from the Sonoff adapter
+ * Updates the cached values and returns the relay states (unknown states as false)
+ */
+function readDeviceStates(deviceInfo) {
+    const base = `${deviceInfo.source}.${deviceInfo.friendlyName}`;
+   
+    const states = [];
+    for (let i = 1; i <= deviceInfo.relayCount; i++) {
+        const powerState = deviceInfo.relayCount === 1 ? `${base}.POWER` : `${base}.POWER${i}`;
+        const power = getStateValue(powerState);
+        markSeen(deviceInfo, (getState(powerState) || {}).ts);
+        states.push(power !== null ? power : false);
+        if (power !== null) {
+            deviceInfo.lastStates[i - 1] = power;
+        }
+    }
+   
+    // Brightness and color of the light
+    if (deviceInfo.lightChannel) {
+        const dimmerValue = getStateValue(`${base}.Dimmer`);
+        if (dimmerValue !== null) {
+            deviceInfo.lastBrightness = dimmerToBrightness(dimmerValue);
+        }
+       
+        ['Color', 'HSBColor', 'CT', 'White'].forEach(stateName => {
+            const value = getStateValue(`${base}.${stateName}`);
+            if (value !== null) {
+                Object.assign(deviceInfo.lastColor, parseColorState(stateName, value));
+            }
+        });
+    }
+   
+    // Fan speed
+    if (deviceInfo.fan) {
+        const speed = parseInt(getStateValue(`${base}.FanSpeed`));
+        if (!isNaN(speed)) {
+            deviceInfo.fan.speed = speed;
+            if (speed > 0) deviceInfo.fan.lastOnSpeed = speed;
+        }
+    }
+   
+    // Shutter positions
+    deviceInfo.shutters.forEach(shutter => {
+        const position = parseInt(getStateValue(`${base}.Shutter${shutter.index}_Position`));
+        const direction = parseInt(getStateValue(`${base}.Shutter${shutter.index}_Direction`));
+        if (!isNaN(position)) shutter.position = position;
+        if (!isNaN(direction)) shutter.direction = direction;
+    });
+   
+    // Power metering values
+    deviceInfo.energy.forEach(feature => {
+        const value = getStateValue(`${base}.${feature.state}`);
+        Object.assign(deviceInfo.lastEnergy, energyPayloadValues(deviceInfo, feature, value));
+    });
+   
+    // Sensor values
+    deviceInfo.sensors.forEach(sensor => {
+        const value = parseFloat(getStateValue(`${base}.${sensor.state}`));
+        if (!isNaN(value)) {
+            deviceInfo.lastSensors[sensor.property] = value;
+        }
+    });
+   
+    // Switch input states
+    deviceInfo.inputs.switches.forEach(input => {
+        const value = parseSwitchState(getStateValue(`${base}.Switch${input.index}`));
+        if (value !== null) {
+            deviceInfo.lastInputs[`${input.sensor}${inputSuffix(deviceInfo.inputs.switches, input.index)}`] = value;
+        }
+    });
+   
+    // Link quality and last telemetry timestamp
+    const rssiState = getState(`${base}.Wifi_RSSI`);
+    const signalState = getState(`${base}.Wifi_Signal`);
+    const linkquality = wifiToLinkquality(rssiState ? rssiState.val : null, signalState ? signalState.val : null);
+    if (linkquality !== null) {
+        deviceInfo.lastLinkquality = linkquality;
+    }
+    markSeen(deviceInfo, rssiState && rssiState.ts);
+    markSeen(deviceInfo, signalState && signalState.ts);
+   
+    return states;
+}
+/**
+ * Publishes the state of a device once after a burst of updates (the first update starts the delay)
+ */
+function scheduleStatePublish(device, delay) {
+    if (pendingStatePublishes.has(device.mac)) return;
+   
+    pendingStatePublishes.set(device.mac, setTimeout(() => {
+        pendingStatePublishes.delete(device.mac);
+        if (sonoffDevices.get(device.mac) !== device) return;
+       
+        publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+    }, delay));
+}
+/**
+ * Remembers the most recent telemetry/state timestamp of a device (for last_seen)
+ */
+function markSeen(device, ts) {
+    if (device && ts && (!device.lastSeen || ts > device.lastSeen)) {
+        device.lastSeen = ts;
+    }
+}
+/**
+ * Handles Tasmota Wi-Fi telemetry (Wifi_RSSI, Wifi_Signal)
+ * Published once per telemetry update, so last_seen stays current
+ */
+function handleSonoffWifiChange(source, friendlyName, stateName, state) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+    if (!device) return;
+   
+    const linkquality = stateName === 'Wifi_RSSI'
+        ? wifiToLinkquality(state.val, null)
+        : wifiToLinkquality(null, state.val);
+   
+    // Prefer the quality in percent if the device reports both
+    const rssiExists = existsState(`${source.adapter}.${friendlyName}.Wifi_RSSI`);
+    if (linkquality !== null && (stateName === 'Wifi_RSSI' || !rssiExists)) {
+        device.lastLinkquality = linkquality;
+    }
+    markSeen(device, state.ts);
+   
+    scheduleStatePublish(device, TELEMETRY_PUBLISH_DELAY);
+}
+/**
+ * Handles changes of Sonoff POWER state
+ * CHANGED: Now handles POWERx for multi-relay devices
+ * Commands (ack = false) are published at once, reports of the device (ack = true) confirm pending commands
+ */
+function handleSonoffPowerChange(source, friendlyName, relayNum, state, ack) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+   
+    if (!device) {
+        logDebug(`Device ${friendlyName} not found for power change`);
+        return;
+    }
+   
+    const newState = state === true || state === 'true' || state === 1;
+    const relayIndex = relayNum - 1;
+    if (relayIndex < 0 || relayIndex >= device.relayCount) return;
+   
+    const key = `${device.mac}/${relayNum}`;
+    const pending = pendingPowerCommands.get(key);
+    if (ack && pending) {
+        if (newState !== pending.state) {
+            // Report from before the command: keep the optimistic state, but roll back to this one
+            pending.confirmed = newState;
+            return;
+        }
+        clearTimeout(pending.timer);
+        pendingPowerCommands.delete(key);
+        logDebug(`POWER${relayNum} of ${device.friendlyName} confirmed after ${pending.attempts} attempt(s)`);
+    }
+    if (ack && !newState) {
+        finishTimedSwitching(device, relayNum);
+    }
+   
+    // A device marked unavailable after an unconfirmed command is reachable again
+    let changed = false;
+    if (ack && device.lastAvailable === false) {
+        const alive = getStateValue(`${source.adapter}.${friendlyName}.alive`);
+        if (alive === true || alive === 'true' || alive === 1) {
+            device.lastAvailable = true;
+            changed = true;
+        }
+    }
+   
+    // CHANGED: Update specific relay state
+    if (device.lastStates[relayIndex] !== newState) {
+        device.lastStates[relayIndex] = newState;
+        changed = true;
+    }
+    if (changed) {
+        const available = device.lastAvailable !== false;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Handles changes of Sonoff device availability (alive)
+ */
+function handleSonoffAliveChange(source, friendlyName, alive) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+   
+    if (!device) {
+        logDebug(`Device ${friendlyName} not found for alive change`);
+        // Unknown device came online, maybe it can be registered now
+        if (alive === true || alive === 'true' || alive === 1) {
+            scheduleDeviceDiscovery(source, friendlyName);
+        }
+        return;
+    }
+   
+    const available = alive === true || alive === 'true' || alive === 1;
+   
+    if (device.lastAvailable !== available) {
+        device.lastAvailable = available;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+   
+    // Settings may have changed while the device was offline (or it was offline when it was discovered)
+    if (available) {
+        querySettingsOnce(device);
+    } else {
+        queriedSettings.delete(device.mac);
+    }
+   
+    // A device being updated restarts (twice with the minimal firmware), then reports the new version
+    if (device.otaUpdate && device.otaUpdate.state === 'updating') {
+        if (available) {
+            handleSonoffVersionChange(source, friendlyName, getStateValue(`${source.adapter}.${friendlyName}.INFO.Info1_Version`));
+        } else {
+            updateOtaProgress(device, 60);
+        }
+    }
+}
+/**
+ * Handles changes of the firmware version (INFO.Info1_Version, reported by Tasmota after every start)
+ * Refreshes software_build_id and completes a running OTA update
+ */
+function handleSonoffVersionChange(source, friendlyName, version) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+    if (!device || !version) return;
+   
+    if (device.version !== version) {
+        logInfo(`Firmware of ${device.z2mDevice.friendly_name} changed from ${device.version} to ${version}`);
+        device.version = version;
+        device.z2mDevice.software_build_id = version;
+        publishBridgeTopics(source.bridge);
+    }
+   
+    const update = device.otaUpdate;
+    if (update && update.state === 'updating' && compareVersions(version, update.latestVersion) >= 0 && !/minimal/i.test(version)) {
+        finishOtaUpdate(device, null);
+    } else if (update && update.state !== 'updating') {
+        update.state = compareVersions(update.latestVersion, version) > 0 ? 'available' : 'idle';
+        publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+    }
+}
+/**
+ * Handles changes of Sonoff Dimmer state
+ */
+function handleSonoffDimmerChange(source, friendlyName, dimmer) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+   
+    if (!device || !device.lightChannel) {
+        logDebug(`Dimmer device ${friendlyName} not found for dimmer change`);
+        return;
+    }
+   
+    const brightness = dimmerToBrightness(parseFloat(dimmer) || 0);
+   
+    if (device.lastBrightness !== brightness) {
+        device.lastBrightness = brightness;
+        const available = device.lastAvailable !== false;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Parses a Tasmota color state (Color, HSBColor, CT, White) into lastColor values
+ */
+function parseColorState(stateName, value) {
+    switch (stateName) {
+        case 'HSBColor': {
+            const [hue, saturation] = String(value).split(',').map(v => parseInt(v));
+            return isNaN(hue) || isNaN(saturation) ? {} : { hue, saturation };
+        }
+        case 'Color': {
+            const rgb = hexToRgb(value);
+            if (!rgb || Math.max(...rgb) === 0) return {};
+            const hsv = rgbToHsv(...rgb);
+            return { hue: hsv.hue, saturation: hsv.saturation };
+        }
+        case 'CT': {
+            const colorTemp = parseInt(value);
+            return isNaN(colorTemp) ? {} : { colorTemp };
+        }
+        case 'White': {
+            const white = parseInt(value);
+            return isNaN(white) ? {} : { white };
+        }
+        default:
+            return {};
+    }
+}
+/**
+ * Handles changes of Sonoff color states (Color, HSBColor, CT, White)
+ */
+function handleSonoffColorChange(source, friendlyName, stateName, value) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+   
+    if (!device || !device.lightChannel) {
+        logDebug(`Light device ${friendlyName} not found for color change`);
+        return;
+    }
+   
+    const values = parseColorState(stateName, value);
+    const changed = Object.keys(values).some(key => device.lastColor[key] !== values[key]);
+   
+    if (changed) {
+        Object.assign(device.lastColor, values);
+        const available = device.lastAvailable !== false;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Handles changes of Sonoff power metering states (ENERGY_*)
+ */
+function handleSonoffEnergyChange(source, friendlyName, stateName, value) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+   
+    if (!device) {
+        logDebug(`Device ${friendlyName} not found for energy change`);
+        return;
+    }
+   
+    const feature = device.energy.find(f => f.state === stateName);
+    if (!feature) return;
+   
+    const values = energyPayloadValues(device, feature, value);
+    const changed = Object.keys(values).some(key => device.lastEnergy[key] !== values[key]);
+   
+    if (changed) {
+        Object.assign(device.lastEnergy, values);
+        const available = device.lastAvailable !== false;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Handles changes of Sonoff sensor states (e.g. AM2301_Temperature)
+ */
+function handleSonoffSensorChange(source, friendlyName, stateName, value) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+    if (!device) return;
+   
+    const sensor = device.sensors.find(s => s.state === stateName);
+    if (!sensor) return;
+   
+    const newValue = parseFloat(value);
+    if (isNaN(newValue)) return;
+   
+    if (device.lastSensors[sensor.property] !== newValue) {
+        device.lastSensors[sensor.property] = newValue;
+        const available = device.lastAvailable !== false;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Handles changes of Sonoff shutter states (Shutter<x>_Position, Shutter<x>_Direction)
+ * Tasmota reports the position every second while the shutter is moving
+ */
+function handleSonoffShutterChange(source, friendlyName, stateName, value) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+    if (!device) return;
+   
+    const match = stateName.match(/^Shutter(\d+)_(Position|Direction)$/);
+    const shutter = match && device.shutters.find(sh => sh.index === parseInt(match[1]));
+    if (!shutter) return;
+   
+    const newValue = parseInt(value);
+    if (isNaN(newValue)) return;
+   
+    const key = match[2] === 'Position' ? 'position' : 'direction';
+    if (shutter[key] !== newValue) {
+        shutter[key] = newValue;
+        const available = device.lastAvailable !== false;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Handles changes of the Sonoff FanSpeed state (0-3)
+ */
+function handleSonoffFanChange(source, friendlyName, value) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+    if (!device || !device.fan) return;
+   
+    const speed = parseInt(value);
+    if (isNaN(speed)) return;
+   
+    if (speed > 0) device.fan.lastOnSpeed = speed;
+    if (device.fan.speed !== speed) {
+        device.fan.speed = speed;
+        const available = device.lastAvailable !== false;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Parses a Tasmota switch/button state: plain value ("ON", true) or {"Action":"..."} JSON
+ * Returns true/false for switch states, null for anything else
+ */
+function parseSwitchState(value) {
+    const action = parseInputAction(value);
+    if (action === 'ON' || action === 'TRUE' || action === '1') return true;
+    if (action === 'OFF' || action === 'FALSE' || action === '0') return false;
+    return null;
+}
+/**
+ * Extracts the upper case action of a Button<x>/Switch<x> state value
+ */
+function parseInputAction(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string' && value.trim().startsWith('{')) {
+        try {
+            value = JSON.parse(value).Action;
+        } catch (e) {
+            return null;
+        }
+    }
+    return value === undefined ? null : String(value).toUpperCase();
+}
+/**
+ * Handles Button<x>/Switch<x> events of the Sonoff adapter
+ * Button actions are published once as transient "action", switch inputs update their binary sensor
+ */
+function handleSonoffInputChange(source, friendlyName, stateName, value) {
+    const device = findDeviceByFriendlyName(source, friendlyName);
+    if (!device) return;
+   
+    const match = stateName.match(/^(Button|Switch)(\d+)(_Action)?$/);
+    if (!match) return;
+   
+    const index = parseInt(match[2]);
+    const available = device.lastAvailable !== false;
+   
+    if (match[1] === 'Button') {
+        const button = device.inputs.buttons.find(b => b.index === index);
+        const action = BUTTON_ACTIONS[parseInputAction(value)];
+        if (!button || !action) {
+            logDebug(`Ignoring ${stateName} = ${value} of ${friendlyName}`);
+            return;
+        }
+        publishDeviceState(device.mac, device.lastStates, available, {
+            action: `${action}${inputSuffix(device.inputs.buttons, index)}`
+        });
+        return;
+    }
+   
+    const input = device.inputs.switches.find(sw => sw.index === index);
+    const state = parseSwitchState(value);
+    if (!input || state === null) return;
+   
+    const property = `${input.sensor}${inputSuffix(device.inputs.switches, index)}`;
+    if (device.lastInputs[property] !== state) {
+        device.lastInputs[property] = state;
+        publishDeviceState(device.mac, device.lastStates, available);
+    }
+}
+/**
+ * Handles Tasmota command results (stat/<topic>/RESULT) of settings without Sonoff adapter datapoint:
+ * PowerOnState, PulseTime<x> (Tasmota 9+: {"PulseTime1":{"Set":112,"Remaining":0}}) and Interlock
+ */
+function handleTasmotaResult(tasmotaMqttAdapter, topic, value) {
+    const device = findDeviceByTasmotaTopic(tasmotaMqttAdapter, topic);
+    if (!device) return;
+   
+    let result;
+    try {
+        result = JSON.parse(value);
+    } catch (e) {
+        return;
+    }
+    if (!result || typeof result !== 'object') return;
+   
+    // Confirmations of commands sent with sendTasmotaCommandConfirmed
+    pendingResults.forEach(pending => {
+        if (pending.device === device && pending.confirm(result)) {
+            clearTimeout(pending.timer);
+            pendingResults.delete(pending);
+            pending.resolve(result);
+        }
+    });
+   
+    if ('LedState' in result) {
+        device.lastLedState = parseInt(result.LedState);
+    }
+    if ('Interlock' in result) {
+        setInterlock(device, result);
+    }
+   
+    let changed = false;
+   
+    if ('PowerOnState' in result) {
+        const behavior = POWER_ON_BEHAVIORS[parseInt(result.PowerOnState)] || null;
+        if (device.lastPowerOnBehavior !== behavior) {
+            device.lastPowerOnBehavior = behavior;
+            changed = true;
+        }
+    }
+   
+    Object.keys(result).forEach(key => {
+        const match = key.match(/^PulseTime(\d+)$/);
+        if (!match || parseInt(match[1]) > device.relayCount) return;
+        if (pendingCountdown(device, parseInt(match[1])) !== null) return; // Temporary PulseTime of a timed switch-on
+       
+        const pulseTime = parseInt(typeof result[key] === 'object' ? result[key].Set : result[key]);
+        if (isNaN(pulseTime)) return;
+       
+        const seconds = pulseTimeToSeconds(pulseTime);
+        if (device.lastPulseTimes[parseInt(match[1]) - 1] !== seconds) {
+            device.lastPulseTimes[parseInt(match[1]) - 1] = seconds;
+            changed = true;
+        }
+    });
+   
+    // The replies to a Backlog query arrive one by one: publish once after the last of them
+    if (changed) {
+        logDebug(`Relay settings of ${device.friendlyName}: power_on_behavior=${device.lastPowerOnBehavior}, countdown=${JSON.stringify(device.lastPulseTimes)}`);
+        scheduleStatePublish(device, SETTINGS_PUBLISH_DELAY);
+    }
+}
+// ==================== ZIGBEE2MQTT COMMAND HANDLER ====================
+/**
+ * Returns the MQTT topic of a Tasmota device (falls back to the Sonoff adapter name)
+ */
+function getTasmotaTopic(device) {
+    const base = `${device.source}.${device.friendlyName}`;
+    return getStateValue(`${base}.STATUS.Status_Topic`) || getStateValue(`${base}.INFO.Info1_Topic`) || device.friendlyName;
+}
+/**
+ * Sends a Tasmota command without Sonoff adapter datapoint (cmnd/<topic>/<command>)
+ * via the MQTT client adapter on the Tasmota broker of the device's source
+ */
+function sendTasmotaCommand(device, command, payload = '') {
+    const tasmotaMqttAdapter = sourceOf(device).tasmotaMqttAdapter;
+    if (!tasmotaMqttAdapter) {
+        logError(`Cannot send ${command} to ${device.friendlyName}: tasmotaMqttAdapter is not configured for ${device.source}`);
+        return false;
+    }
+   
+    const topic = `cmnd/${getTasmotaTopic(device)}/${command}`;
+    sendTo(tasmotaMqttAdapter, 'sendMessage2Client', {
+        topic: topic,
+        message: String(payload)
+    });
+   
+    logDebug(`Sent Tasmota command: ${topic} ${payload}`);
+    return true;
+}
+/**
+ * Queries the relay settings once after the device came online
+ */
+function querySettingsOnce(device) {
+    if (queriedSettings.has(device.mac)) return;
+   
+    queriedSettings.add(device.mac);
+    queryRelaySettings(device);
+}
+/**
+ * Queries PowerOnState, the PulseTime of each relay and Interlock, the device answers on stat/<topic>/RESULT
+ */
+function queryRelaySettings(device) {
+    const channels = configurableChannels(device);
+    if (!sourceOf(device).tasmotaMqttAdapter || channels.length === 0) return;
+   
+    const commands = ['PowerOnState', ...channels.map(i => `PulseTime${i}`)];
+    if ((device.capabilities.leds || []).length > 0) {
+        commands.push('LedState');
+    }
+    if (device.relayCount > 1) {
+        commands.push('Interlock');
+    }
+    sendTasmotaCommand(device, 'Backlog', commands.join('; '));
+}
+/**
+ * Handles relay settings: "power_on_behavior" (off/on/toggle/previous, device-wide) → PowerOnState,
+ * "countdown" (seconds) → PulseTime<x>; the new values are read back from the RESULT reply
+ */
+function handleRelaySettingsCommand(device, cmd) {
+    const channels = configurableChannels(device);
+   
+    // PowerOnState applies to all relays of the device, so it has no endpoint
+    if ('power_on_behavior' in cmd && channels.length > 0) {
+        const behavior = String(cmd.power_on_behavior).toLowerCase();
+        const index = POWER_ON_BEHAVIORS.indexOf(behavior);
+        if (index < 0) {
+            logError(`Invalid power_on_behavior '${behavior}' for ${device.friendlyName}`);
+        } else {
+            sendTasmotaCommand(device, 'PowerOnState', index);
+        }
+    }
+   
+    channels.forEach(i => {
+        const suffix = channelSuffix(device, i);
+       
+        if (`countdown${suffix}` in cmd) {
+            const seconds = parseFloat(cmd[`countdown${suffix}`]);
+            if (isNaN(seconds) || seconds < 0) {
+                logError(`Invalid countdown '${cmd[`countdown${suffix}`]}' for ${device.friendlyName}`);
+            } else {
+                device.restoreCountdowns[i - 1] = null; // The new countdown replaces a running timed switch-on
+                sendTasmotaCommand(device, `PulseTime${i}`, secondsToPulseTime(seconds));
+            }
+        }
+    });
+}
+/**
+ * Switches a relay, for a limited time with "on_time": Tasmota turns it off again by a temporary PulseTime
+ * (the countdown of the relay is restored when it reports OFF). Any later command to the relay restores
+ * the countdown in the same Backlog, which stops the running PulseTime of the timed switch-on.
+ * Returns false if the command could not be sent
+ */
+function switchRelay(device, channel, state, onTime) {
+    const timed = state && onTime > 0;
+    if (timed && !sourceOf(device).tasmotaMqttAdapter) {
+        logError(`Cannot switch ${device.friendlyName} on for ${onTime}s: tasmotaMqttAdapter is not configured for ${device.source}`);
+        return false;
+    }
+    if (timed && onTime > pulseTimeToSeconds(PULSE_TIME_MAX)) {
+        logError(`on_time ${onTime}s for ${device.friendlyName} is too long (max ${pulseTimeToSeconds(PULSE_TIME_MAX)}s)`);
+        return false;
+    }
+   
+    // The countdown to put back is stored (and persisted) before the temporary one is sent
+    const countdown = pendingCountdown(device, channel);
+    const commands = [];
+    if (timed) {
+        device.restoreCountdowns[channel - 1] = countdown !== null ? countdown : device.lastPulseTimes[channel - 1] || 0;
+        commands.push(`PulseTime${channel} ${secondsToPulseTime(onTime)}`);
+        logDebug(`Turning on POWER${channel} of ${device.friendlyName} for ${onTime}s`);
+        scheduleRegistrySave(bridgeOf(device));
+    } else if (countdown !== null) {
+        device.restoreCountdowns[channel - 1] = null;
+        commands.push(`PulseTime${channel} ${secondsToPulseTime(countdown)}`);
+    }
+   
+    if (commands.length === 0) {
+        setPowerConfirmed(device, channel, state);
+    } else {
+        commands.push(`Power${channel} ${state ? 1 : 0}`);
+        setPowerConfirmed(device, channel, state, () => sendTasmotaCommand(device, 'Backlog', commands.join('; ')));
+    }
+    return true;
+}
+/**
+ * Returns the countdown (seconds) to restore after the running timed switch-on of a relay, or null
+ */
+function pendingCountdown(device, channel) {
+    const countdown = device.restoreCountdowns[channel - 1];
+    return countdown !== null && countdown !== undefined ? countdown : null;
+}
+/**
+ * Restores the countdown (PulseTime) of a relay after its timed switch-on ended
+ */
+function finishTimedSwitching(device, channel) {
+    const countdown = pendingCountdown(device, channel);
+    if (countdown === null) return;
+   
+    device.restoreCountdowns[channel - 1] = null;
+    sendTasmotaCommand(device, `PulseTime${channel}`, secondsToPulseTime(countdown));
+    scheduleRegistrySave(bridgeOf(device));
+}
+/**
+ * Returns the other POWER channels in the interlock group of a channel (switched off by the device when it turns on)
+ */
+function interlockedChannels(device, channel) {
+    const group = (device.interlock || []).find(g => g.includes(channel));
+    return group ? group.filter(other => other !== channel) : [];
+}
+/**
+ * Resolves the relay commands of a set payload against the interlock groups of the device:
+ * of several ON commands to one group the lowest endpoint wins, the others are dropped
+ */
+function resolveInterlock(device, commands) {
+    return commands.filter(command => {
+        if (!command.state) return true;
+        const winner = commands.find(other => other.state && (other === command || interlockedChannels(device, command.channel).includes(other.channel)));
+        if (winner !== command) {
+            logInfo(`Interlock: ignoring ON for POWER${command.channel} of ${device.friendlyName}, POWER${winner.channel} is switched on`);
+            return false;
+        }
+        return true;
+    });
+}
+/**
+ * Switches a relay and waits for the acknowledged POWERx update of the device
+ * An unconfirmed command is resent CONFIG.powerRetries times, then the last confirmed state
+ * is published again and the device is marked unavailable
+ * The command is written to the POWERx state, or sent by the given function (e.g. as Tasmota Backlog)
+ */
+function setPowerConfirmed(device, channel, state, send) {
+    const key = `${device.mac}/${channel}`;
+    const previous = pendingPowerCommands.get(key);
+    if (previous) {
+        clearTimeout(previous.timer);
+    }
+   
+    const pending = {
+        state: state,
+        confirmed: previous ? previous.confirmed : device.lastStates[channel - 1],
+        attempts: 0,
+        timer: null
+    };
+    pendingPowerCommands.set(key, pending);
+    device.lastStates[channel - 1] = state; // Optimistic, published by the caller
+   
+    const powerState = device.relayCount === 1
+        ? `${device.source}.${device.friendlyName}.POWER`
+        : `${device.source}.${device.friendlyName}.POWER${channel}`;
+    const attempt = () => {
+        pending.attempts++;
+        pending.timer = setTimeout(() => {
+            if (pendingPowerCommands.get(key) !== pending) return;
+            if (sonoffDevices.get(device.mac) !== device) {
+                pendingPowerCommands.delete(key);
+                return;
+            }
+            if (pending.attempts <= CONFIG.powerRetries && device.lastAvailable !== false) {
+                logWarn(`POWER${channel} of ${device.friendlyName} not confirmed within ${CONFIG.powerConfirmTimeout}s, retrying`);
+                attempt();
+                return;
+            }
+           
+            pendingPowerCommands.delete(key);
+            logError(`POWER${channel} of ${device.friendlyName} not confirmed after ${pending.attempts} attempt(s), marking it unavailable`);
+            device.lastStates[channel - 1] = pending.confirmed;
+            device.lastAvailable = false;
+            publishDeviceState(device.mac, device.lastStates, false);
+           
+            // A device that is still reachable answers with an acknowledged POWERx report and is available again
+            if (sourceOf(device).tasmotaMqttAdapter) {
+                sendTasmotaCommand(device, `Power${channel}`);
+            }
+        }, CONFIG.powerConfirmTimeout * 1000);
+        if (send) {
+            send();
+        } else {
+            setState(powerState, state);
+        }
+    };
+    attempt();
+}
+/**
+ * Sends a Tasmota command and waits for its stat/<topic>/RESULT reply
+ * Resolves with the reply, rejects if the device is offline, the command can't be sent or there is no reply
+ */
+function sendTasmotaCommandConfirmed(device, command, payload, confirm) {
+    return new Promise((resolve, reject) => {
+        const name = device.z2mDevice.friendly_name;
+        if (device.lastAvailable === false) {
+            reject(new Error(`Device '${name}' is offline`));
+            return;
+        }
+       
+        const pending = { device: device, confirm: confirm, resolve: resolve, timer: null };
+        pending.timer = setTimeout(() => {
+            pendingResults.delete(pending);
+            reject(new Error(`No reply from '${name}' to ${command} within ${CONFIG.commandTimeout}s`));
+        }, CONFIG.commandTimeout * 1000);
+        pendingResults.add(pending);
+       
+        if (!sendTasmotaCommand(device, command, payload)) {
+            clearTimeout(pending.timer);
+            pendingResults.delete(pending);
+            reject(new Error(`Cannot send ${command} to '${name}': tasmotaMqttAdapter is not configured`));
+        }
+    });
+}
+/**
+ * Returns true if identify can blink something: a status LED, or a relay enabled by identify_relay
+ */
+function canIdentify(device) {
+    if (!sourceOf(device).tasmotaMqttAdapter) return false;
+    if (((device.capabilities || {}).leds || []).length > 0) return true;
+    return (device.overrides || {}).identify_relay === true && configurableChannels(device).length > 0;
+}
+/**
+ * Identifies a device: blinks the status LED (LedPower, LedState is restored afterwards)
+ * or, without LED, the first relay (Power blink, which restores the relay state) if enabled by identify_relay
+ */
+async function identifyDevice(device) {
+    if ((device.capabilities.leds || []).length > 0) {
+        const commands = [];
+        for (let n = 0; n < IDENTIFY_BLINKS; n++) {
+            commands.push('LedPower 1', 'Delay 5', 'LedPower 0', 'Delay 5');
+        }
+        commands.push(`LedState ${device.lastLedState !== null ? device.lastLedState : 1}`);
+        await sendTasmotaCommandConfirmed(device, 'Backlog', commands.join('; '),
+            result => Object.keys(result).some(key => /^LedPower\d*$/.test(key)));
+    } else {
+        // Blinking the relay also switches its load (pump, heater, motor, ...), so it has to be enabled per device
+        if ((device.overrides || {}).identify_relay !== true) {
+            throw new Error(`Device '${device.z2mDevice.friendly_name}' has no LED (set identify_relay in CONFIG.devices to blink its relay)`);
+        }
+        const channel = configurableChannels(device)[0];
+        if (!channel) {
+            throw new Error(`Device '${device.z2mDevice.friendly_name}' has no LED or relay to blink`);
+        }
+        await sendTasmotaCommandConfirmed(device, 'Backlog', `BlinkTime 5; BlinkCount ${IDENTIFY_BLINKS}; Power${channel} 3`,
+            result => Object.keys(result).some(key => /^POWER\d*$/.test(key)));
+    }
+    logInfo(`Identifying ${device.z2mDevice.friendly_name}`);
+}
+/**
+ * Restarts a device (Restart 1), confirmed by {"Restart":"Restarting"}
+ */
+async function restartDevice(device) {
+    await sendTasmotaCommandConfirmed(device, 'Restart', 1, result => 'Restart' in result);
+    logInfo(`Restarting ${device.z2mDevice.friendly_name}`);
+}
+/**
+ * Handles fan commands: "fan_state" (ON/OFF/TOGGLE) and "fan_mode" (off/low/medium/high) → FanSpeed 0-3
+ */
+function handleFanCommand(device, cmd) {
+    let speed = null;
+   
+    if ('fan_mode' in cmd) {
+        const mode = String(cmd.fan_mode).toLowerCase();
+        speed = mode === 'on' ? device.fan.lastOnSpeed : FAN_MODES.indexOf(mode);
+        if (speed < 0) {
+            logError(`Invalid fan mode ${cmd.fan_mode} for ${device.friendlyName}`);
+            return;
+        }
+    } else if ('fan_state' in cmd) {
+        const stateCmd = String(cmd.fan_state).toUpperCase();
+        const on = stateCmd === 'TOGGLE' ? !(device.fan.speed > 0) : stateCmd === 'ON';
+        speed = on ? device.fan.lastOnSpeed : 0;
+    } else {
+        return;
+    }
+   
+    const speedState = `${device.source}.${device.friendlyName}.FanSpeed`;
+    if (existsState(speedState)) {
+        setState(speedState, speed);
+    } else {
+        sendTasmotaCommand(device, 'FanSpeed', speed);
+    }
+    logDebug(`Setting FanSpeed for ${device.friendlyName} to ${speed}`);
+}
+/**
+ * Handles cover commands: "state" (OPEN/CLOSE/STOP) and "position" (0-100) per shutter
+ */
+function handleCoverCommand(device, cmd) {
+    device.shutters.forEach(shutter => {
+        const suffix = channelSuffix(device, shutter.relay);
+       
+        if (`position${suffix}` in cmd) {
+            const position = Math.round(Math.max(0, Math.min(100, Number(cmd[`position${suffix}`]))));
+            if (!isNaN(position)) {
+                sendTasmotaCommand(device, `ShutterPosition${shutter.index}`, position);
+            }
+        } else if (`state${suffix}` in cmd) {
+            const command = {
+                OPEN: 'ShutterOpen',
+                CLOSE: 'ShutterClose',
+                STOP: 'ShutterStop'
+            }[String(cmd[`state${suffix}`]).toUpperCase()];
+           
+            if (command) {
+                sendTasmotaCommand(device, `${command}${shutter.index}`);
+            } else {
+                logError(`Invalid cover state ${cmd[`state${suffix}`]} for ${device.friendlyName}`);
+            }
+        }
+    });
+}
+/**
+ * Sets the Tasmota Dimmer (0-100) of a device, brightness 0 switches the light off
+ */
+function setDeviceBrightness(device, brightness) {
+    if (brightness <= 0) {
+        const powerState = device.relayCount === 1
+            ? `${device.source}.${device.friendlyName}.POWER`
+            : `${device.source}.${device.friendlyName}.POWER${device.lightChannel}`;
+        setState(powerState, false);
+        logDebug(`Setting light of ${device.friendlyName} off (brightness 0)`);
+        return;
+    }
+   
+    const dimmer = brightnessToDimmer(brightness);
+    setState(`${device.source}.${device.friendlyName}.Dimmer`, dimmer);
+    logDebug(`Setting Dimmer for ${device.friendlyName} to ${dimmer}`);
+}
+/**
+ * Converts a Z2M color payload ({x,y}, {hue,saturation}, {hex}, {r,g,b} or "#rrggbb") to hue/saturation
+ * A payload with only hue or only saturation keeps the other one of the last color (full saturation if unknown)
+ */
+function z2mColorToHs(color, lastColor = {}) {
+    if (typeof color === 'string') {
+        color = { hex: color };
+    }
+    if (!color || typeof color !== 'object') {
+        return null;
+    }
+   
+    let rgb = null;
+    if ('hue' in color || 'saturation' in color || 'h' in color || 's' in color) {
+        const hueValue = color.hue !== undefined ? color.hue : color.h;
+        const saturationValue = color.saturation !== undefined ? color.saturation : color.s;
+        const hue = Math.round(parseFloat(hueValue !== undefined ? hueValue : lastColor.hue) || 0);
+        const saturation = saturationValue !== undefined
+            ? parseFloat(saturationValue) || 0
+            : (lastColor.saturation !== null && lastColor.saturation !== undefined ? lastColor.saturation : 100);
+        return {
+            hue: ((hue % 360) + 360) % 360,
+            saturation: Math.round(Math.max(0, Math.min(100, saturation)))
+        };
+    } else if ('x' in color && 'y' in color) {
+        rgb = xyToRgb(parseFloat(color.x), parseFloat(color.y));
+    } else if ('hex' in color) {
+        rgb = hexToRgb(color.hex);
+    } else if ('r' in color && 'g' in color && 'b' in color) {
+        rgb = [color.r, color.g, color.b].map(c => Math.max(0, Math.min(255, parseInt(c) || 0)));
+    }
+   
+    if (!rgb) {
+        return null;
+    }
+   
+    const hsv = rgbToHsv(...rgb);
+    return { hue: hsv.hue, saturation: hsv.saturation };
+}
+/**
+ * Handles "color" and "color_temp" of the light channel
+ */
+function handleColorCommand(device, cmd) {
+    const suffix = channelSuffix(device, device.lightChannel);
+    const base = `${device.source}.${device.friendlyName}`;
+   
+    if (device.light.color && `color${suffix}` in cmd) {
+        const hs = z2mColorToHs(cmd[`color${suffix}`], device.lastColor);
+        if (!hs) {
+            logError(`Invalid color for ${device.friendlyName}: ${JSON.stringify(cmd[`color${suffix}`])}`);
+        } else {
+            const dimmer = device.lastBrightness ? brightnessToDimmer(device.lastBrightness) : 100;
+            const hsbColor = `${hs.hue},${hs.saturation},${dimmer}`;
+            setState(`${base}.HSBColor`, hsbColor);
+            logDebug(`Setting HSBColor for ${device.friendlyName} to ${hsbColor}`);
+        }
+    }
+   
+    if (device.light.colorTemp && `color_temp${suffix}` in cmd) {
+        const colorTemp = parseInt(cmd[`color_temp${suffix}`]);
+        if (isNaN(colorTemp)) {
+            logError(`Invalid color_temp for ${device.friendlyName}: ${cmd[`color_temp${suffix}`]}`);
+        } else {
+            const ct = Math.max(device.light.ctRange[0], Math.min(device.light.ctRange[1], colorTemp));
+            setState(`${base}.CT`, ct);
+            logDebug(`Setting CT for ${device.friendlyName} to ${ct}`);
+        }
+    }
+}
+/**
+ * Stops a running brightness_move of a device
+ */
+function stopBrightnessMove(device) {
+    if (device.brightnessMoveTimer) {
+        clearInterval(device.brightnessMoveTimer);
+        device.brightnessMoveTimer = null;
+    }
+}
+/**
+ * Moves the brightness continuously with the given rate (units per second)
+ * A rate of 0 or "stop" ends the movement
+ */
+function startBrightnessMove(device, rate) {
+    stopBrightnessMove(device);
+   
+    const speed = parseFloat(rate);
+    if (rate === 'stop' || isNaN(speed) || speed === 0) {
+        return;
+    }
+   
+    const intervalMs = 250;
+    let brightness = device.lastBrightness !== null ? device.lastBrightness : 0;
+   
+    device.brightnessMoveTimer = setInterval(() => {
+        brightness = Math.max(1, Math.min(254, brightness + speed * intervalMs / 1000));
+        setDeviceBrightness(device, Math.round(brightness));
+       
+        if (brightness <= 1 || brightness >= 254) {
+            stopBrightnessMove(device);
+        }
+    }, intervalMs);
+}
+/**
+ * Handles "brightness", "brightness_step" and "brightness_move" of the dimmer channel
+ */
+function handleBrightnessCommand(device, cmd) {
+    const suffix = channelSuffix(device, device.lightChannel);
+    const current = device.lastBrightness !== null ? device.lastBrightness : 0;
+   
+    if (`brightness${suffix}` in cmd) {
+        stopBrightnessMove(device);
+        setDeviceBrightness(device, parseFloat(cmd[`brightness${suffix}`]) || 0);
+    }
+   
+    if (`brightness_step${suffix}` in cmd) {
+        stopBrightnessMove(device);
+        const step = parseFloat(cmd[`brightness_step${suffix}`]) || 0;
+        setDeviceBrightness(device, Math.max(0, Math.min(254, current + step)));
+    }
+   
+    if (`brightness_move${suffix}` in cmd) {
+        startBrightnessMove(device, cmd[`brightness_move${suffix}`]);
+    }
+}
+/**
+ * Handles incoming Zigbee2MQTT set commands
+ * CHANGED: Now handles state_l1, state_l2, etc. for multi-relay devices
+ */
+function handleZ2MSetCommand(bridge, friendlyName, payload) {
+    logDebug(`Received Z2M command for ${friendlyName}: ${payload}`);
+   
+    // Find device by friendly_name (or IEEE address)
+    const device = findDeviceById(bridge, friendlyName);
+   
+    if (!device) {
+        // Group command: fan out to the member relays
+        const group = findGroupById(bridge, friendlyName);
+        if (group) {
+            handleGroupSetCommand(bridge, group, payload);
+            return;
+        }
+        logError(`Device ${friendlyName} not found for set command`);
+        return;
+    }
+   
+    // A device that did not confirm its last command (or is offline) can't be switched
+    if (device.lastAvailable === false) {
+        logError(`Device ${friendlyName} is unavailable, rejecting set command: ${payload}`);
+        return;
+    }
+   
+    try {
+        const cmd = JSON.parse(payload);
+       
+        // CHANGED: Handle both single relay "state" and multi-relay "state_l1", "state_l2", etc.
+        const relayCommands = [];
+        for (let i = 1; i <= device.relayCount; i++) {
+            const stateProperty = `state${channelSuffix(device, i)}`;
+            if (stateProperty in cmd && !shutterOfChannel(device, i) && !isFanRelay(device, i)) {
+                const stateCmd = cmd[stateProperty].toUpperCase();
+                let newState;
+                
+                if (stateCmd === 'TOGGLE') {
+                    newState = !device.lastStates[i - 1];
+                } else {
+                    newState = stateCmd === 'ON';
+                }
+                
+                // Timed on ("on_time") and lockout after it ("off_wait_time"), per endpoint or for all
+                const suffix = channelSuffix(device, i);
+                const onTime = parseFloat(`on_time${suffix}` in cmd ? cmd[`on_time${suffix}`] : cmd.on_time);
+                const offWaitTime = parseFloat(`off_wait_time${suffix}` in cmd ? cmd[`off_wait_time${suffix}`] : cmd.off_wait_time);
+                
+                if (newState && device.offWaitUntil[i - 1] > Date.now()) {
+                    logInfo(`Ignoring ON for POWER${i} of ${device.friendlyName} during off_wait_time`);
+                    continue;
+                }
+                
+                relayCommands.push({ channel: i, state: newState, onTime: onTime, offWaitTime: offWaitTime });
+            }
+        }
+        
+        // Interlocked relays: one ON per group
+        const sentCommands = resolveInterlock(device, relayCommands);
+        sentCommands.forEach(command => {
+            const i = command.channel;
+            if (!switchRelay(device, i, command.state, command.onTime)) return;
+            if (command.state && command.onTime > 0 && command.offWaitTime > 0) {
+                device.offWaitUntil[i - 1] = Date.now() + (command.onTime + command.offWaitTime) * 1000;
+            }
+            
+            logDebug(`Setting POWER${i} for ${device.friendlyName} to ${command.state}`);
+        });
+        
+        // Publish the new relay states at once, with the relays the interlock of the device switches off
+        if (sentCommands.length > 0) {
+            sentCommands.filter(command => command.state).forEach(command => {
+                interlockedChannels(device, command.channel).forEach(channel => { device.lastStates[channel - 1] = false; });
+            });
+            publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+        }
+        
+        // Relay settings: "power_on_behavior", "countdown"
+        handleRelaySettingsCommand(device, cmd);
+        
+        // Device commands: "identify", "restart" (set commands have no response, the result is logged)
+        if ('identify' in cmd) {
+            identifyDevice(device).catch(e => logError(`Identify failed: ${e.message}`));
+        }
+        if ('restart' in cmd) {
+            restartDevice(device).catch(e => logError(`Restart failed: ${e.message}`));
+        }
+        
+        // Fan: "fan_state", "fan_mode"
+        if (device.fan) {
+            handleFanCommand(device, cmd);
+        }
+        
+        // Shutters: "state" OPEN/CLOSE/STOP, "position"
+        if (device.shutters.length > 0) {
+            handleCoverCommand(device, cmd);
+        }
+        
+        // Dimmer: "brightness", "brightness_step", "brightness_move"
+        if (device.lightChannel) {
+            handleBrightnessCommand(device, cmd);
+            handleColorCommand(device, cmd);
+        }
+       
+    } catch (e) {
+        logError(`Error processing set command: ${e.message}`);
+    }
+}
+/**
+ * Handles incoming Zigbee2MQTT get requests (e.g. {"state": ""} or {"state_l2": ""})
+ * Re-reads all exposed states and publishes a fresh payload
+ */
+function handleZ2MGetCommand(bridge, friendlyName, payload) {
+    logDebug(`Received Z2M get request for ${friendlyName}: ${payload}`);
+   
+    const device = findDeviceById(bridge, friendlyName);
+   
+    if (!device) {
+        logError(`Device ${friendlyName} not found for get request`);
+        return;
+    }
+   
+    try {
+        const states = readDeviceStates(device);
+       
+        // Settings without datapoint are read back from the device (published when the reply arrives)
+        if (/power_on_behavior|countdown/.test(payload)) {
+            queryRelaySettings(device);
+        }
+       
+        const alive = getStateValue(`${device.source}.${device.friendlyName}.alive`);
+        if (alive !== null) {
+            device.lastAvailable = alive === true || alive === 'true' || alive === 1;
+        }
+       
+        publishDeviceState(device.mac, states, device.lastAvailable !== false);
+    } catch (e) {
+        logError(`Error processing get request: ${e.message}`);
+    }
+}
+// ==================== OTA UPDATES ====================
+/**
+ * Returns true if OTA updates are configured for a device (target version or manifest, Tasmota MQTT adapter of its source)
+ */
+function isOtaSupported(device) {
+    return !!(sourceOf(device).tasmotaMqttAdapter && CONFIG.ota && (CONFIG.ota.version || CONFIG.ota.manifest));
+}
+/**
+ * Compares two Tasmota versions ("13.1.0(tasmota)" < "14.3.0"), returns <0, 0 or >0
+ */
+function compareVersions(a, b) {
+    const parse = version => (String(version || '').match(/\d+(\.\d+)*/) || ['0'])[0].split('.').map(Number);
+    const va = parse(a);
+    const vb = parse(b);
+    for (let i = 0; i < Math.max(va.length, vb.length); i++) {
+        const diff = (va[i] || 0) - (vb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+/**
+ * Loads the release manifest: { "default": { version, url }, "<Info1_Module>": { version, url } }
+ */
+function loadOtaManifest() {
+    return new Promise((resolve, reject) => {
+        httpGet(CONFIG.ota.manifest, { timeout: 5000 }, (err, response) => {
+            if (err) {
+                reject(new Error(`Cannot load OTA manifest ${CONFIG.ota.manifest}: ${err}`));
+                return;
+            }
+            try {
+                resolve(JSON.parse(response.data));
+            } catch (e) {
+                reject(new Error(`Invalid OTA manifest ${CONFIG.ota.manifest}: ${e.message}`));
+            }
+        });
+    });
+}
+/**
+ * Returns the OTA target { version, url } of a device (manifest entry of its module, else default/CONFIG.ota)
+ */
+async function getOtaTarget(device) {
+    if (!isOtaSupported(device)) {
+        throw new Error(`OTA updates are not configured (CONFIG.ota, tasmotaMqttAdapter of ${device.source})`);
+    }
+   
+    let target = { version: CONFIG.ota.version, url: CONFIG.ota.url };
+    if (CONFIG.ota.manifest) {
+        const manifest = await loadOtaManifest();
+        target = { ...target, ...(manifest.default || {}), ...(manifest[device.model] || {}) };
+    }
+    if (!target.version || !target.url) {
+        throw new Error(`No OTA target version/url for '${device.z2mDevice.friendly_name}' (${device.model})`);
+    }
+    return target;
+}
+/**
+ * Sets the progress of a running update and publishes it
+ */
+function updateOtaProgress(device, progress) {
+    if (!device.otaUpdate || device.otaUpdate.state !== 'updating') return;
+   
+    device.otaUpdate.progress = progress;
+    publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+}
+/**
+ * Ends a running update: resolves the pending request on success, rejects it with the error otherwise
+ */
+function finishOtaUpdate(device, error) {
+    const update = device.otaUpdate;
+    if (!update || update.state !== 'updating') return;
+   
+    clearTimeout(update.timer);
+    update.state = error ? 'available' : 'idle';
+    delete update.progress;
+    publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+   
+    if (error) {
+        logError(`OTA update of ${device.z2mDevice.friendly_name} failed: ${error.message}`);
+        update.reject(error);
+    } else {
+        logInfo(`OTA update of ${device.z2mDevice.friendly_name} to ${device.version} finished`);
+        update.resolve();
+    }
+}
+/**
+ * bridge/request/device/ota_update/check: {id}
+ */
+async function handleOtaCheckRequest(bridge, message) {
+    const device = findDeviceById(bridge, message.id);
+    if (!device) {
+        throw new Error(`Device '${message.id}' does not exist`);
+    }
+    if (device.otaUpdate && device.otaUpdate.state === 'updating') {
+        throw new Error(`Update of '${device.z2mDevice.friendly_name}' in progress`);
+    }
+   
+    const target = await getOtaTarget(device);
+    const available = compareVersions(target.version, device.version) > 0;
+    device.otaUpdate = { state: available ? 'available' : 'idle', latestVersion: target.version, url: target.url };
+    publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+   
+    logInfo(`OTA check of ${device.z2mDevice.friendly_name}: installed ${device.version}, latest ${target.version}${available ? ' (update available)' : ''}`);
+    return { id: message.id, update_available: available };
+}
+/**
+ * bridge/request/device/ota_update/update: {id}
+ * Sends OtaUrl + Upgrade 1, the response follows when the device reports the new version
+ */
+async function handleOtaUpdateRequest(bridge, message) {
+    const device = findDeviceById(bridge, message.id);
+    if (!device) {
+        throw new Error(`Device '${message.id}' does not exist`);
+    }
+    if (device.otaUpdate && device.otaUpdate.state === 'updating') {
+        throw new Error(`Update of '${device.z2mDevice.friendly_name}' in progress`);
+    }
+   
+    const target = await getOtaTarget(device);
+    if (compareVersions(target.version, device.version) <= 0) {
+        throw new Error(`'${device.z2mDevice.friendly_name}' is already up to date (${device.version})`);
+    }
+   
+    const from = { software_build_id: device.z2mDevice.software_build_id, date_code: device.z2mDevice.date_code };
+    await sendTasmotaCommandConfirmed(device, 'Backlog', `OtaUrl ${target.url}; Upgrade 1`, result => 'Upgrade' in result);
+   
+    logInfo(`OTA update of ${device.z2mDevice.friendly_name} from ${device.version} to ${target.version} started (${target.url})`);
+    await new Promise((resolve, reject) => {
+        device.otaUpdate = {
+            state: 'updating',
+            latestVersion: target.version,
+            url: target.url,
+            progress: 10,
+            resolve: resolve,
+            reject: reject,
+            timer: setTimeout(() => {
+                // The device may have been rediscovered meanwhile (it restarts during the update)
+                finishOtaUpdate(sonoffDevices.get(device.mac) || device, new Error(`'${device.z2mDevice.friendly_name}' did not report version ${target.version} within ${CONFIG.ota.timeout}s`));
+            }, CONFIG.ota.timeout * 1000)
+        };
+        publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+    });
+   
+    const updated = sonoffDevices.get(device.mac) || device;
+    return {
+        id: message.id,
+        from: from,
+        to: { software_build_id: updated.z2mDevice.software_build_id, date_code: updated.z2mDevice.date_code }
+    };
+}
+// ==================== BRIDGE REQUEST API ====================
+/**
+ * Publishes a bridge/response/<request> message
+ */
+function publishBridgeResponse(bridge, request, message, data, error) {
+    const response = {
+        data: data || {},
+        status: error ? 'error' : 'ok'
+    };
+    if (error) {
+        response.error = error;
+    }
+    if (message && message.transaction !== undefined) {
+        response.transaction = message.transaction;
+    }
+   
+    publishMqtt(bridge, `bridge/response/${request}`, response);
+   
+    if (error) {
+        logError(`Bridge request ${request} failed: ${error}`);
+    }
+}
+/**
+ * bridge/request/device/rename: {from, to} or {last: true, to}
+ */
+function handleDeviceRenameRequest(bridge, message) {
+    const to = message.to;
+    const device = message.last
+        ? bridgeDevices(bridge).pop()
+        : findDeviceById(bridge, message.from);
+   
+    if (!device) {
+        throw new Error(`Device '${message.from}' does not exist`);
+    }
+    if (typeof to !== 'string' || to.trim() === '' || /[#+]/.test(to) || to.endsWith('/')) {
+        throw new Error(`Invalid friendly name '${to}'`);
+    }
+    const existing = findDeviceById(bridge, to);
+    if ((existing && existing !== device) || findGroupById(bridge, to)) {
+        throw new Error(`friendly_name '${to}' is already in use`);
+    }
+   
+    const from = device.z2mDevice.friendly_name;
+    updateDeviceSettings(bridge, device.mac, { friendly_name: to });
+    device.z2mDevice.friendly_name = to;
+   
+    logInfo(`Renamed device ${from} to ${to}`);
+    clearRetainedTopics(bridge, from);
+    publishBridgeTopics(bridge);
+    publishDeviceState(device.mac, device.lastStates, device.lastAvailable !== false);
+   
+    return { from: from, to: to, homeassistant_rename: false };
+}
+/**
+ * bridge/request/device/remove: {id, block, force}
+ */
+function handleDeviceRemoveRequest(bridge, message) {
+    const device = findDeviceById(bridge, message.id);
+    if (!device) {
+        throw new Error(`Device '${message.id}' does not exist`);
+    }
+   
+    const block = message.block === true;
+    const friendlyName = device.z2mDevice.friendly_name;
+   
+    releaseDevice(device, new Error(`'${friendlyName}' was removed`));
+    clearRetainedTopics(bridge, friendlyName);
+    sonoffDevices.delete(device.mac);
+    if (block) {
+        updateDeviceSettings(bridge, device.mac, { blocked: true });
+    }
+   
+    logInfo(`Removed device ${friendlyName}${block ? ' (blocked)' : ''}`);
+    publishBridgeTopics(bridge);
+   
+    return { id: message.id, block: block, force: message.force === true };
+}
+/**
+ * bridge/request/device/identify: {id}
+ */
+async function handleDeviceIdentifyRequest(bridge, message) {
+    const device = findDeviceById(bridge, message.id);
+    if (!device) {
+        throw new Error(`Device '${message.id}' does not exist`);
+    }
+   
+    await identifyDevice(device);
+    return { id: message.id };
+}
+/**
+ * bridge/request/device/restart: {id}
+ */
+async function handleDeviceRestartRequest(bridge, message) {
+    const device = findDeviceById(bridge, message.id);
+    if (!device) {
+        throw new Error(`Device '${message.id}' does not exist`);
+    }
+   
+    await restartDevice(device);
+    return { id: message.id };
+}
+/**
+ * bridge/request/device/options: {id, options}
+ */
+function handleDeviceOptionsRequest(bridge, message) {
+    const device = findDeviceById(bridge, message.id);
+    if (!device) {
+        throw new Error(`Device '${message.id}' does not exist`);
+    }
+    if (!message.options || typeof message.options !== 'object') {
+        throw new Error('Invalid options');
+    }
+   
+    const from = { ...(getDeviceSettings(bridge, device.mac).options || {}) };
+    const to = mergeDeep({ ...from }, message.options);
+    Object.keys(to).forEach(key => {
+        if (to[key] === null) delete to[key];
+    });
+    updateDeviceSettings(bridge, device.mac, { options: to });
+   
+    logInfo(`Changed options of ${device.z2mDevice.friendly_name}: ${JSON.stringify(message.options)}`);
+    publishBridgeTopics(bridge);
+   
+    return { id: message.id, from: from, to: to, restart_required: false };
+}
+/**
+ * bridge/request/permit_join: {value, time} or {time}
+ */
+function handlePermitJoinRequest(bridge, message) {
+    const time = message.time !== undefined ? parseInt(message.time) : 254;
+    const value = message.value !== undefined ? message.value === true || message.value === 'true' : time > 0;
+   
+    if (bridge.permitJoin.timer) {
+        clearTimeout(bridge.permitJoin.timer);
     }
-    
-    publishMqtt(friendlyName, payload);
-    publishMqtt(`${friendlyName}/availability`, { state: available ? 'online' : 'offline' });
+    bridge.permitJoin = { value: value, end: null, timer: null };
    
-    logDebug(`Published state for ${friendlyName}: ${JSON.stringify(payload)}, available: ${available}`);
+    if (value && time > 0) {
+        bridge.permitJoin.end = Date.now() + time * 1000;
+        bridge.permitJoin.timer = setTimeout(() => {
+            bridge.permitJoin = { value: false, end: null, timer: null };
+            publishBridgeTopic(bridge, 'bridge/info', createBridgeInfo(bridge));
+        }, time * 1000);
+    }
+   
+    logInfo(`Permit join on ${bridge.baseTopic} ${value ? `enabled for ${time}s` : 'disabled'}`);
+    publishBridgeTopic(bridge, 'bridge/info', createBridgeInfo(bridge));
+   
+    return { value: value, time: value ? time : 0 };
 }
-// ==================== SONOFF DEVICE DISCOVERY ====================
 /**
- * Scans for all Sonoff devices
+ * bridge/request/options: {options}
  */
-function scanSonoffDevices() {
-    logInfo('Scanning for Sonoff devices...');
+function handleOptionsRequest(bridge, message) {
+    if (!message.options || typeof message.options !== 'object') {
+        throw new Error('Invalid options');
+    }
    
-    // Search all objects under sonoff.0.*
-    const pattern = `${CONFIG.sonoffAdapter}.*`;
-    const allObjects = $(pattern);
+    mergeDeep(bridge.settings.bridge, message.options);
+    saveSettings(bridge);
    
-    // Find all device folders (which contain a MacAddress)
-    const deviceFolders = new Set();
+    logInfo(`Changed bridge options of ${bridge.baseTopic}: ${JSON.stringify(message.options)}`);
+    publishBridgeTopic(bridge, 'bridge/info', createBridgeInfo(bridge));
    
-    allObjects.each((id) => {
-        if (id.includes('.STATUS.StatusNET_Mac')) {
-            // Extract friendlyName
-            const parts = id.split('.');
-            if (parts.length >= 3) {
-                const friendlyName = parts[2];
-                deviceFolders.add(friendlyName);
-            }
-        }
-    });
+    return { restart_required: false };
+}
+/**
+ * bridge/request/group/add: {friendly_name, id}
+ */
+function handleGroupAddRequest(bridge, message) {
+    const name = message.friendly_name;
+    if (typeof name !== 'string' || name.trim() === '' || /[#+]/.test(name) || name.endsWith('/')) {
+        throw new Error(`Invalid friendly name '${name}'`);
+    }
+    if (findGroupById(bridge, name) || findDeviceById(bridge, name)) {
+        throw new Error(`friendly_name '${name}' is already in use`);
+    }
    
-    logInfo(`Found ${deviceFolders.size} potential Sonoff device(s)`);
+    const groups = getGroups(bridge);
+    const id = message.id !== undefined ? parseInt(message.id) : groups.reduce((max, group) => Math.max(max, group.id), 0) + 1;
+    if (isNaN(id) || id < 1 || groups.some(group => group.id === id)) {
+        throw new Error(`Group id '${message.id}' is invalid or already in use`);
+    }
    
-    // Process each found device
-    deviceFolders.forEach(friendlyName => {
-        processSonoffDevice(friendlyName);
-    });
+    saveGroup(bridge, String(id), { friendly_name: name, members: [] });
+    logInfo(`Added group ${name} (${id})`);
+    publishBridgeTopics(bridge);
    
-    logInfo(`Registered ${sonoffDevices.size} Sonoff device(s)`);
+    return { friendly_name: name, id: id };
 }
 /**
- * Processes a single Sonoff device
- * CHANGED: Now supports multi-relay devices
+ * bridge/request/group/remove: {id, force}
  */
-function processSonoffDevice(friendlyName) {
-    try {
-        // Read MAC address
-        const macState = `${CONFIG.sonoffAdapter}.${friendlyName}.STATUS.StatusNET_Mac`;
-        const mac = getStateValue(macState);
-       
-        if (!mac) {
-            logDebug(`No MAC address found for ${friendlyName}`);
-            return;
-        }
-       
-        // Read model
-        const modelState = `${CONFIG.sonoffAdapter}.${friendlyName}.INFO.Info1_Module`;
-        const model = getStateValue(modelState);
-       
-        // Read firmware version
-        const versionState = `${CONFIG.sonoffAdapter}.${friendlyName}.INFO.Info1_Version`;
-        const version = getStateValue(versionState);
-       
-        // Parse GPIO configuration and count relays
-        const relayCount = parseGPIOs(friendlyName);
-       
-        // Debug output for all discovered devices
-        logDebug(`Device ${friendlyName}: MAC=${mac}, Model=${model}, Version=${version}, Relays=${relayCount}`);
-       
-        // CHANGED: Accept devices with any number of relays (1-28)
-        if (relayCount === 0 || relayCount > 28) {
-            logInfo(`Device ${friendlyName} has ${relayCount} relay(s), skipping (must have 1-28 relays)`);
-            return;
-        }
-       
-        // CHANGED: Collect device information including relay count
-        const deviceInfo = {
-            mac: mac,
-            friendlyName: friendlyName,
-            model: model,
-            version: version,
-            relayCount: relayCount,
-            lastStates: new Array(relayCount).fill(null),  // CHANGED: Array of states
-            lastAvailable: null
-        };
-       
-        // Create Z2M device definition
-        const z2mDevice = createZ2MDeviceDefinition(deviceInfo);
-        deviceInfo.z2mDevice = z2mDevice;
-       
-        // Add to device map
-        sonoffDevices.set(mac, deviceInfo);
-       
-        logInfo(`Discovered Sonoff device: ${friendlyName} (${mac}) - Model: ${model}, Version: ${version}, Relays: ${relayCount}`);
-       
-        // CHANGED: Read initial state for all relays
-        const initialStates = [];
-        for (let i = 1; i <= relayCount; i++) {
-            const powerState = relayCount === 1 
-                ? `${CONFIG.sonoffAdapter}.${friendlyName}.POWER`
-                : `${CONFIG.sonoffAdapter}.${friendlyName}.POWER${i}`;
-            const power = getStateValue(powerState);
-            initialStates.push(power !== null ? power : false);
-            if (power !== null) {
-                deviceInfo.lastStates[i - 1] = power;
-            }
-        }
-        
-        const aliveState = `${CONFIG.sonoffAdapter}.${friendlyName}.alive`;
-        const alive = getStateValue(aliveState);
-       
-        if (alive !== null) {
-            deviceInfo.lastAvailable = alive;
-        }
-       
-        // Publish initial state if we already finished initialization
-        if (initialized && alive !== null) {
-            publishDeviceState(mac, initialStates, alive);
-        }
-       
-    } catch (e) {
-        logError(`Error processing device ${friendlyName}: ${e.message}`);
+function handleGroupRemoveRequest(bridge, message) {
+    const group = findGroupById(bridge, message.id);
+    if (!group) {
+        throw new Error(`Group '${message.id}' does not exist`);
     }
+   
+    saveGroup(bridge, String(group.id), null);
+    bridge.groupStates.delete(String(group.id));
+    publishMqtt(bridge, group.friendly_name, '', true);
+    logInfo(`Removed group ${group.friendly_name} (${group.id})`);
+    publishBridgeTopics(bridge);
+   
+    return { id: message.id, force: message.force === true };
 }
 /**
- * Handles changes of Sonoff POWER state
- * CHANGED: Now handles POWERx for multi-relay devices
+ * Resolves group, device and endpoint of a group/members/* request: {group, device, endpoint}
  */
-function handleSonoffPowerChange(friendlyName, relayNum, state) {
-    // Find device by friendlyName
-    let device = null;
-    for (const [mac, dev] of sonoffDevices) {
-        if (dev.friendlyName === friendlyName) {
-            device = dev;
-            break;
-        }
+function parseGroupMemberRequest(bridge, message) {
+    const group = findGroupById(bridge, message.group);
+    if (!group) {
+        throw new Error(`Group '${message.group}' does not exist`);
     }
    
+    // The endpoint may be part of the device ("Dual/l2")
+    let device = findMemberDevice(bridge, message.device);
+    let endpoint = message.endpoint;
     if (!device) {
-        logDebug(`Device ${friendlyName} not found for power change`);
-        return;
+        const member = parseGroupMember(message.device);
+        device = findMemberDevice(bridge, member.device);
+        endpoint = message.endpoint !== undefined ? endpoint : member.endpoint;
     }
-   
-    const newState = state === true || state === 'true' || state === 1;
-    const relayIndex = relayNum - 1;
-    
-    // CHANGED: Update specific relay state
-    if (relayIndex >= 0 && relayIndex < device.relayCount) {
-        if (device.lastStates[relayIndex] !== newState) {
-            device.lastStates[relayIndex] = newState;
-            const available = device.lastAvailable !== false;
-            publishDeviceState(device.mac, device.lastStates, available);
-        }
+    if (!device) {
+        throw new Error(`Device '${message.device}' does not exist`);
     }
+    const channel = resolveEndpoint(device, endpoint);
+    if (!device.z2mDevice.endpoints[String(channel)]) {
+        throw new Error(`Device '${device.z2mDevice.friendly_name}' does not have endpoint '${endpoint}'`);
+    }
+   
+    const isMember = m => findMemberDevice(bridge, m.device) === device && resolveEndpoint(device, m.endpoint) === channel;
+    return { group: group, device: device, endpoint: channel, isMember: isMember };
 }
 /**
- * Handles changes of Sonoff device availability (alive)
+ * bridge/request/group/members/add: {group, device, endpoint}
  */
-function handleSonoffAliveChange(friendlyName, alive) {
-    // Find device by friendlyName
-    let device = null;
-    for (const [mac, dev] of sonoffDevices) {
-        if (dev.friendlyName === friendlyName) {
-            device = dev;
-            break;
-        }
-    }
+function handleGroupMembersAddRequest(bridge, message) {
+    const { group, device, endpoint, isMember } = parseGroupMemberRequest(bridge, message);
    
-    if (!device) {
-        logDebug(`Device ${friendlyName} not found for alive change`);
-        return;
+    if (!group.members.some(isMember)) {
+        group.members.push({ device: device.mac, endpoint: endpoint });
+        saveGroup(bridge, String(group.id), group);
+        logInfo(`Added ${device.z2mDevice.friendly_name}/${endpointName(device, endpoint)} to group ${group.friendly_name}`);
+        publishBridgeTopics(bridge);
     }
    
-    const available = alive === true || alive === 'true' || alive === 1;
+    return { device: message.device, endpoint: message.endpoint, group: message.group };
+}
+/**
+ * bridge/request/group/members/remove: {group, device, endpoint}
+ */
+function handleGroupMembersRemoveRequest(bridge, message) {
+    const { group, device, endpoint, isMember } = parseGroupMemberRequest(bridge, message);
    
-    if (device.lastAvailable !== available) {
-        device.lastAvailable = available;
-        publishDeviceState(device.mac, device.lastStates, available);
+    if (!group.members.some(isMember)) {
+        throw new Error(`Device '${message.device}' is not a member of group '${message.group}'`);
     }
+   
+    group.members = group.members.filter(m => !isMember(m));
+    saveGroup(bridge, String(group.id), group);
+    logInfo(`Removed ${device.z2mDevice.friendly_name}/${endpointName(device, endpoint)} from group ${group.friendly_name}`);
+    publishBridgeTopics(bridge);
+   
+    return { device: message.device, endpoint: message.endpoint, group: message.group };
 }
-// ==================== ZIGBEE2MQTT COMMAND HANDLER ====================
 /**
- * Handles incoming Zigbee2MQTT set commands
- * CHANGED: Now handles state_l1, state_l2, etc. for multi-relay devices
+ * Restarts a bridge: rescans its devices and republishes everything
  */
-function handleZ2MSetCommand(friendlyName, payload) {
-    logDebug(`Received Z2M command for ${friendlyName}: ${payload}`);
+async function restartBridge(bridge) {
+    logInfo(`Bridge ${bridge.baseTopic} restarting...`);
+    publishBridgeTopic(bridge, 'bridge/state', { state: 'offline' });
    
-    // Find device by friendly_name
-    let device = null;
-    for (const [mac, dev] of sonoffDevices) {
-        if (dev.z2mDevice.friendly_name === friendlyName) {
-            device = dev;
-            break;
-        }
+    bridgeDevices(bridge).forEach(device => {
+        releaseDevice(device, new Error(`Bridge ${bridge.baseTopic} restarted`));
+        sonoffDevices.delete(device.mac);
+        queriedSettings.delete(device.mac);
+    });
+    scanSonoffDevices(bridge);
+   
+    await publishBridgeTopics(bridge);
+    logInfo(`Bridge ${bridge.baseTopic} restarted`);
+}
+/**
+ * Routes bridge/request/* messages of a bridge to their handlers
+ */
+function handleBridgeRequest(bridge, request, payload) {
+    logDebug(`Received bridge request ${request}: ${payload}`);
+   
+    let message;
+    try {
+        message = typeof payload === 'string' && payload.trim() !== '' ? JSON.parse(payload) : (payload || {});
+    } catch (e) {
+        message = payload;
+    }
+    // Plain values (e.g. "MyDevice" for device/remove) are treated like {id/value}
+    if (message === null || typeof message !== 'object') {
+        message = { id: message, value: message };
     }
    
-    if (!device) {
-        logError(`Device ${friendlyName} not found for set command`);
+    const handlers = {
+        'device/rename': handleDeviceRenameRequest,
+        'device/remove': handleDeviceRemoveRequest,
+        'device/options': handleDeviceOptionsRequest,
+        'device/identify': handleDeviceIdentifyRequest,
+        'device/restart': handleDeviceRestartRequest,
+        'device/ota_update/check': handleOtaCheckRequest,
+        'device/ota_update/update': handleOtaUpdateRequest,
+        'permit_join': handlePermitJoinRequest,
+        'options': handleOptionsRequest,
+        'group/add': handleGroupAddRequest,
+        'group/remove': handleGroupRemoveRequest,
+        'group/members/add': handleGroupMembersAddRequest,
+        'group/members/remove': handleGroupMembersRemoveRequest,
+        'health_check': () => ({ healthy: true }),
+        'restart': () => {
+            setTimeout(() => restartBridge(bridge), 500);
+            return {};
+        }
+    };
+   
+    const handler = handlers[request];
+    if (!handler) {
+        publishBridgeResponse(bridge, request, message, {}, `Request '${request}' is not supported`);
         return;
     }
    
+    // Handlers waiting for the device return a Promise, the response is published when it settles
     try {
-        const cmd = JSON.parse(payload);
-       
-        // CHANGED: Handle both single relay "state" and multi-relay "state_lX"
-        
-        // Single relay device: "state"
-        if ('state' in cmd && device.relayCount === 1) {
-            const stateCmd = cmd.state.toUpperCase();
-            let newState;
-           
-            if (stateCmd === 'TOGGLE') {
-                newState = !device.lastStates[0];
-            } else {
-                newState = stateCmd === 'ON';
-            }
-           
-            const powerState = `${CONFIG.sonoffAdapter}.${device.friendlyName}.POWER`;
-            setState(powerState, newState);
-           
-            logDebug(`Setting POWER for ${device.friendlyName} to ${newState}`);
-        }
-        
-        // Multi-relay device: "state_l1", "state_l2", etc.
-        for (let i = 1; i <= device.relayCount; i++) {
-            const stateProperty = `state_l${i}`;
-            if (stateProperty in cmd) {
-                const stateCmd = cmd[stateProperty].toUpperCase();
-                let newState;
-                
-                if (stateCmd === 'TOGGLE') {
-                    newState = !device.lastStates[i - 1];
-                } else {
-                    newState = stateCmd === 'ON';
-                }
-                
-                const powerState = device.relayCount === 1
-                    ? `${CONFIG.sonoffAdapter}.${device.friendlyName}.POWER`
-                    : `${CONFIG.sonoffAdapter}.${device.friendlyName}.POWER${i}`;
-                setState(powerState, newState);
-                
-                logDebug(`Setting POWER${i} for ${device.friendlyName} to ${newState}`);
-            }
+        const data = handler(bridge, message);
+        if (data && typeof data.then === 'function') {
+            data.then(
+                result => publishBridgeResponse(bridge, request, message, result),
+                e => publishBridgeResponse(bridge, request, message, {}, e.message)
+            );
+        } else {
+            publishBridgeResponse(bridge, request, message, data);
         }
-       
     } catch (e) {
-        logError(`Error processing set command: ${e.message}`);
+        publishBridgeResponse(bridge, request, message, {}, e.message);
     }
 }
 // ==================== SUBSCRIPTIONS ====================
 /**
- * Sets up all required state subscriptions
- * CHANGED: Now subscribes to POWERx for multi-relay support
+ * Sets up all required state subscriptions of all sources and bridges
  */
 function setupSubscriptions() {
+    sources.forEach(source => setupSourceSubscriptions(source));
+    new Set(Array.from(sources.values()).map(source => source.tasmotaMqttAdapter).filter(Boolean)).forEach(setupTasmotaSubscriptions);
+    bridges.forEach(bridge => setupBridgeSubscriptions(bridge));
+    new Set(bridges.map(bridge => bridge.mqttAdapter)).forEach(setupConnectionSubscription);
+}
+/**
+ * Sets up the state subscriptions of a Sonoff adapter
+ * CHANGED: Now subscribes to POWERx for multi-relay support
+ */
+function setupSourceSubscriptions(source) {
     // CHANGED: Watch both POWER and POWERx states (POWER1, POWER2, etc.)
-    const powerPattern = `${CONFIG.sonoffAdapter}.*.POWER*`;
-    $(powerPattern).on((obj) => {
+    // Every update, the acknowledged report of an unchanged value confirms a pending command
+    const powerRegex = new RegExp(
+        `^${escapeRegExp(source.adapter)}\\.([^\\.]+)\\.POWER\\d*$`
+    );
+    on({ id: powerRegex, change: 'any' }, (obj) => {
         const parts = obj.id.split('.');
-        if (parts.length >= 4) {
-            const friendlyName = parts[2];
-            const powerPart = parts[3];
-            const state = obj.state.val;
-            
-            // Extract relay number (POWER = 1, POWER1 = 1, POWER2 = 2, etc.)
-            let relayNum = 1;
-            if (powerPart.length > 5) { // POWERx
-                relayNum = parseInt(powerPart.substring(5));
-            }
-            
-            handleSonoffPowerChange(friendlyName, relayNum, state);
+        const friendlyName = parts[2];
+        const powerPart = parts[3];
+        const state = obj.state.val;
+        if (obj.state.ack) {
+            markSeen(findDeviceByFriendlyName(source, friendlyName), obj.state.ts);
+        }
+        
+        // Extract relay number (POWER = 1, POWER1 = 1, POWER2 = 2, etc.)
+        let relayNum = 1;
+        if (powerPart.length > 5) { // POWERx
+            relayNum = parseInt(powerPart.substring(5));
         }
+        
+        handleSonoffPowerChange(source, friendlyName, relayNum, state, obj.state.ack);
     });
-    logInfo(`Subscribed to Sonoff power states: ${powerPattern}`);
+    logInfo(`Subscribed to Sonoff power states: ${source.adapter}.*.POWER*`);
    
     // Watch Sonoff alive states
-    const alivePattern = `${CONFIG.sonoffAdapter}.*.alive`;
+    const alivePattern = `${source.adapter}.*.alive`;
     $(alivePattern).on((obj) => {
         const parts = obj.id.split('.');
         if (parts.length >= 3) {
             const friendlyName = parts[2];
             const alive = obj.state.val;
-            handleSonoffAliveChange(friendlyName, alive);
+            handleSonoffAliveChange(source, friendlyName, alive);
         }
     });
     logInfo(`Subscribed to Sonoff alive states: ${alivePattern}`);
    
+    // Watch Sonoff firmware versions (software_build_id, OTA updates)
+    const versionPattern = `${source.adapter}.*.INFO.Info1_Version`;
+    $(versionPattern).on((obj) => {
+        handleSonoffVersionChange(source, obj.id.split('.')[2], obj.state.val);
+    });
+    logInfo(`Subscribed to Sonoff firmware versions: ${versionPattern}`);
+   
+    // Watch Sonoff dimmer states
+    const dimmerPattern = `${source.adapter}.*.Dimmer`;
+    $(dimmerPattern).on((obj) => {
+        const parts = obj.id.split('.');
+        if (parts.length >= 4) {
+            const friendlyName = parts[2];
+            markSeen(findDeviceByFriendlyName(source, friendlyName), obj.state.ts);
+            handleSonoffDimmerChange(source, friendlyName, obj.state.val);
+        }
+    });
+    logInfo(`Subscribed to Sonoff dimmer states: ${dimmerPattern}`);
+   
+    // Watch Sonoff color states
+    const colorStates = ['Color', 'HSBColor', 'CT', 'White'];
+    colorStates.forEach(stateName => {
+        $(`${source.adapter}.*.${stateName}`).on((obj) => {
+            const parts = obj.id.split('.');
+            if (parts.length >= 4) {
+                const friendlyName = parts[2];
+                markSeen(findDeviceByFriendlyName(source, friendlyName), obj.state.ts);
+                handleSonoffColorChange(source, friendlyName, stateName, obj.state.val);
+            }
+        });
+    });
+    logInfo(`Subscribed to Sonoff color states: ${colorStates.join(', ')}`);
+   
+    // Watch Sonoff power metering states
+    const energyPattern = `${source.adapter}.*.ENERGY_*`;
+    $(energyPattern).on((obj) => {
+        const parts = obj.id.split('.');
+        if (parts.length >= 4) {
+            const friendlyName = parts[2];
+            const stateName = parts[3];
+            markSeen(findDeviceByFriendlyName(source, friendlyName), obj.state.ts);
+            handleSonoffEnergyChange(source, friendlyName, stateName, obj.state.val);
+        }
+    });
+    logInfo(`Subscribed to Sonoff energy states: ${energyPattern}`);
+   
+    // Watch Sonoff sensor states (<Sensor>_Temperature, <Sensor>_Humidity, ...)
+    Object.keys(SENSOR_QUANTITIES).forEach(quantity => {
+        $(`${source.adapter}.*.*_${quantity}`).on((obj) => {
+            const parts = obj.id.split('.');
+            if (parts.length === 4) {
+                const friendlyName = parts[2];
+                const stateName = parts[3];
+                markSeen(findDeviceByFriendlyName(source, friendlyName), obj.state.ts);
+                handleSonoffSensorChange(source, friendlyName, stateName, obj.state.val);
+            }
+        });
+    });
+    logInfo(`Subscribed to Sonoff sensor states: ${Object.keys(SENSOR_QUANTITIES).map(q => `*_${q}`).join(', ')}`);
+   
+    // Watch Sonoff shutter states (position reports while moving)
+    $(`${source.adapter}.*.Shutter*_*`).on((obj) => {
+        const parts = obj.id.split('.');
+        if (parts.length === 4 && /^Shutter\d+_(Position|Direction)$/.test(parts[3])) {
+            markSeen(findDeviceByFriendlyName(source, parts[2]), obj.state.ts);
+            handleSonoffShutterChange(source, parts[2], parts[3], obj.state.val);
+        }
+    });
+    logInfo(`Subscribed to Sonoff shutter states: ${source.adapter}.*.Shutter*_Position, Shutter*_Direction`);
+   
+    // Watch Sonoff fan speed (iFan)
+    $(`${source.adapter}.*.FanSpeed`).on((obj) => {
+        const parts = obj.id.split('.');
+        markSeen(findDeviceByFriendlyName(source, parts[2]), obj.state.ts);
+        handleSonoffFanChange(source, parts[2], obj.state.val);
+    });
+    logInfo(`Subscribed to Sonoff fan states: ${source.adapter}.*.FanSpeed`);
+   
+    // Watch Sonoff button/switch events (every event, a button may report the same action again)
+    const inputRegex = new RegExp(
+        `^${escapeRegExp(source.adapter)}\\.([^\\.]+)\\.((Button|Switch)\\d+(_Action)?)$`
+    );
+    on({ id: inputRegex, change: 'any' }, (obj) => {
+        const parts = obj.id.split('.');
+        markSeen(findDeviceByFriendlyName(source, parts[2]), obj.state.ts);
+        handleSonoffInputChange(source, parts[2], parts[3], obj.state.val);
+    });
+    logInfo(`Subscribed to Sonoff input events: ${source.adapter}.*.Button*, Switch*`);
+   
+    // Watch Sonoff Wi-Fi telemetry (every update, also if the value did not change)
+    const wifiRegex = new RegExp(
+        `^${escapeRegExp(source.adapter)}\\.([^\\.]+)\\.(Wifi_RSSI|Wifi_Signal)$`
+    );
+    on({ id: wifiRegex, change: 'any' }, (obj) => {
+        const parts = obj.id.split('.');
+        handleSonoffWifiChange(source, parts[2], parts[3], obj.state);
+    });
+    logInfo(`Subscribed to Sonoff Wi-Fi telemetry: ${source.adapter}.*.Wifi_RSSI, Wifi_Signal`);
+   
+    // Watch creation/deletion of MAC and GPIO objects (hot-plug discovery)
+    const discoveryPatterns = [
+        `${source.adapter}.*.STATUS.StatusNET_Mac`,
+        `${source.adapter}.*.GPIO_*`,
+        `${source.adapter}.*.ShutterRelay*`,
+        `${source.adapter}.*.SwitchMode*`
+    ];
+    discoveryPatterns.forEach(pattern => {
+        subscribeObject(pattern, (id) => {
+            const parts = id.split('.');
+            if (parts.length >= 4) {
+                scheduleDeviceDiscovery(source, parts[2]);
+            }
+        });
+        // MAC/GPIO values may arrive after the objects were created (e.g. via Data Updater)
+        $(pattern).on((obj) => {
+            const parts = obj.id.split('.');
+            if (parts.length >= 4) {
+                scheduleDeviceDiscovery(source, parts[2]);
+            }
+        });
+    });
+    // Templates stored by the Data Updater change the capabilities of a device
+    $(`${source.templateStates}.*`).on((obj) => {
+        scheduleDeviceDiscovery(source, obj.id.split('.').pop());
+    });
+    // Interlock replies stored by the Data Updater
+    if (source.interlockStates) {
+        $(`${source.interlockStates}.*`).on((obj) => {
+            const device = findDeviceByFriendlyName(source, obj.id.split('.').pop());
+            if (device) {
+                setInterlock(device, obj.state.val);
+            }
+        });
+    }
+    // Shutter mode enabled, fan controller, first button/switch event, SwitchMode changed
+    // (only object changes, the values of these states change all the time)
+    const objectPatterns = [
+        `${source.adapter}.*.Shutter*_Position`,
+        `${source.adapter}.*.FanSpeed`,
+        `${source.adapter}.*.Button*`,
+        `${source.adapter}.*.Switch*`
+    ];
+    objectPatterns.forEach(pattern => {
+        subscribeObject(pattern, (id) => {
+            scheduleDeviceDiscovery(source, id.split('.')[2]);
+        });
+    });
+    logInfo(`Subscribed to device discovery: ${discoveryPatterns.concat(objectPatterns).join(', ')}, ${source.templateStates}.*`);
+}
+/**
+ * Watches Tasmota command results (stat/<topic>/RESULT) for settings without Sonoff adapter datapoint
+ * One subscription per MQTT adapter, sources on the same Tasmota broker share it
+ */
+function setupTasmotaSubscriptions(tasmotaMqttAdapter) {
+    const resultRegex = new RegExp(`^${escapeRegExp(tasmotaMqttAdapter)}\\.stat\\.(.+)\\.RESULT$`);
+    on({ id: resultRegex, change: 'any' }, (obj) => {
+        handleTasmotaResult(tasmotaMqttAdapter, obj.id.match(resultRegex)[1], obj.state.val);
+    });
+    logInfo(`Subscribed to Tasmota results: ${tasmotaMqttAdapter}.stat.*.RESULT`);
+}
+/**
+ * Sets up the Zigbee2MQTT command and request subscriptions of a bridge
+ */
+function setupBridgeSubscriptions(bridge) {
     // Watch Zigbee2MQTT set commands
     const z2mSetRegex = new RegExp(
-        `^${CONFIG.mqttAdapter}\\.${CONFIG.z2mBaseTopic}\\.([^\\.]+)\\.set$`
+        `^${escapeRegExp(bridge.mqttAdapter)}\\.${escapeRegExp(bridge.baseTopic)}\\.([^\\.]+)\\.set$`
     );
     on({ id: z2mSetRegex, change: 'any' }, (obj) => {
         const payload = obj.state.val;
         const parts = obj.id.split('.');
         const friendlyName = parts[parts.length - 2];
-        handleZ2MSetCommand(friendlyName, payload);
+        handleZ2MSetCommand(bridge, friendlyName, payload);
+    });
+    logInfo(`Subscribed to Z2M commands: ${bridge.mqttAdapter}.${bridge.baseTopic}.*.set`);
+   
+    // Watch Zigbee2MQTT get requests
+    const z2mGetRegex = new RegExp(
+        `^${escapeRegExp(bridge.mqttAdapter)}\\.${escapeRegExp(bridge.baseTopic)}\\.([^\\.]+)\\.get$`
+    );
+    on({ id: z2mGetRegex, change: 'any' }, (obj) => {
+        const payload = obj.state.val;
+        const parts = obj.id.split('.');
+        const friendlyName = parts[parts.length - 2];
+        handleZ2MGetCommand(bridge, friendlyName, payload);
+    });
+    logInfo(`Subscribed to Z2M get requests: ${bridge.mqttAdapter}.${bridge.baseTopic}.*.get`);
+   
+    // Watch Zigbee2MQTT bridge requests (bridge/request/device/rename -> "device/rename")
+    const bridgeRequestPrefix = `${bridge.mqttAdapter}.${bridge.baseTopic}.bridge.request.`;
+    const bridgeRequestRegex = new RegExp(
+        `^${escapeRegExp(bridge.mqttAdapter)}\\.${escapeRegExp(bridge.baseTopic)}\\.bridge\\.request\\.(.+)$`
+    );
+    on({ id: bridgeRequestRegex, change: 'any' }, (obj) => {
+        const request = obj.id.substring(bridgeRequestPrefix.length).replace(/\./g, '/');
+        handleBridgeRequest(bridge, request, obj.state.val);
+    });
+    logInfo(`Subscribed to Z2M bridge requests: ${bridge.mqttAdapter}.${bridge.baseTopic}.bridge.request.*`);
+}
+/**
+ * Watches the connection of an MQTT adapter to the broker, republishes its bridges after a reconnect
+ */
+function setupConnectionSubscription(mqttAdapter) {
+    on({ id: `${mqttAdapter}.info.connection`, change: 'ne' }, (obj) => {
+        if (!initialized) return;
+        if (obj.state.val) {
+            logInfo(`${mqttAdapter} reconnected, republishing bridge and device topics`);
+            bridges.filter(bridge => bridge.mqttAdapter === mqttAdapter).forEach(bridge => republishAll(bridge));
+        } else {
+            logWarn(`${mqttAdapter} lost the connection to the MQTT broker`);
+        }
     });
-    logInfo(`Subscribed to Z2M commands: ${CONFIG.mqttAdapter}.${CONFIG.z2mBaseTopic}.*.set`);
+    logInfo(`Subscribed to MQTT connection state: ${mqttAdapter}.info.connection`);
 }
 // ==================== INITIALIZATION ====================
 /**
@@ -657,30 +4397,51 @@ async function initialize() {
     logInfo('Sonoff to Zigbee2MQTT Bridge starting...');
     logInfo('='.repeat(60));
    
+    // Sonoff adapters and emulated bridges (CONFIG.sources/CONFIG.bridges)
+    try {
+        ({ sources, bridges } = createInstances());
+    } catch (e) {
+        logError(`Invalid CONFIG: ${e.message}`);
+        return;
+    }
+   
+    // Load persisted renames and options
+    for (const bridge of bridges) {
+        await loadSettings(bridge);
+    }
+   
+    // Check CONFIG.devices before it is applied during discovery
+    validateDeviceOverrides();
+   
+    // Known devices (offline until the adapter scan finds them)
+    for (const bridge of bridges) {
+        await loadRegistry(bridge);
+    }
+   
     // Setup all subscriptions
     setupSubscriptions();
    
     // Discover Sonoff devices
-    scanSonoffDevices();
+    bridges.forEach(bridge => scanSonoffDevices(bridge));
    
-    // Publish all bridge topics
-    await publishBridgeTopics();
+    for (const bridge of bridges) {
+        // Publish all bridge topics
+        await publishBridgeTopics(bridge);
+       
+        // Publish cached device states and availability
+        publishCachedStates(bridge);
+    }
    
     // Mark initialization as complete
     initialized = true;
-   
-    // Periodic refresh of bridge information
-    setInterval(() => {
-        if (initialized) {
-            publishBridgeTopics();
-            logDebug('Periodic refresh of bridge topics');
-        }
-    }, CONFIG.refreshInterval * 1000);
+    bridges.forEach(bridge => saveRegistry(bridge));
    
     logInfo('='.repeat(60));
     logInfo('Bridge initialized successfully!');
-    logInfo(`Emulating Zigbee2MQTT on topic: ${CONFIG.z2mBaseTopic}`);
-    logInfo(`Monitoring Sonoff devices from adapter: ${CONFIG.sonoffAdapter}`);
+    bridges.forEach(bridge => {
+        logInfo(`Emulating Zigbee2MQTT on topic: ${bridge.baseTopic} (${bridge.mqttAdapter}, coordinator ${bridge.coordinatorIeee})`);
+        logInfo(`Monitoring Sonoff devices from adapter: ${bridge.sources.map(source => source.adapter).join(', ') || '-'}`);
+    });
     logInfo(`Total devices registered: ${sonoffDevices.size}`);
     logInfo('='.repeat(60));
 }
@@ -690,14 +4451,31 @@ async function initialize() {
 onStop(() => {
     logInfo('Bridge stopping...');
    
-    // Set bridge offline
-    publishMqtt('bridge/state', {state: 'offline'}, true);
+    // Cancel pending hot-plug discoveries and command confirmations
+    pendingDiscoveries.forEach(timer => clearTimeout(timer));
+    pendingDiscoveries.clear();
+    pendingResults.forEach(pending => clearTimeout(pending.timer));
+    pendingResults.clear();
+    pendingPowerCommands.forEach(pending => clearTimeout(pending.timer));
+    pendingPowerCommands.clear();
+    pendingStatePublishes.forEach(timer => clearTimeout(timer));
+    pendingStatePublishes.clear();
+    sonoffDevices.forEach(device => device.otaUpdate && clearTimeout(device.otaUpdate.timer));
    
-    // Set all devices offline
-    for (const [mac, device] of sonoffDevices) {
-        const friendlyName = device.z2mDevice.friendly_name;
-        publishMqtt(`${friendlyName}/availability`, {state: 'offline'});
-    }
+    bridges.forEach(bridge => {
+        // Write pending registry changes
+        if (initialized) {
+            saveRegistry(bridge);
+        }
+       
+        // Set bridge offline
+        publishBridgeTopic(bridge, 'bridge/state', {state: 'offline'});
+       
+        // Set all devices offline
+        bridgeDevices(bridge).forEach(device => {
+            publishMqtt(bridge, `${device.z2mDevice.friendly_name}/availability`, {state: 'offline'}, true);
+        });
+    });
    
     logInfo('Bridge stopped');
 }, 1000);
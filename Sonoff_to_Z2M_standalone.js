@@ -0,0 +1,605 @@
+/*
+ * Sonoff to Zigbee2MQTT Bridge - Standalone Runtime
+ *
+ * Copyright (c) 2026 baetzst
+ *
+ * Licensed under the MIT License.
+ * You may obtain a copy of the License at:
+ * https://opensource.org/licenses/MIT
+ *
+ * Runs Sonoff_to_Z2M.js with Node.js against a plain MQTT broker, without ioBroker.
+ * The bridge script is loaded unchanged; the ioBroker functions it uses (getState,
+ * setState, $, on, sendTo, onStop, ...) are provided by this file on top of an
+ * in-memory state store that is filled from the native Tasmota MQTT topics,
+ * with the same state names the Sonoff adapter creates:
+ *
+ *   tele/<topic>/LWT                 → sonoff.0.<topic>.alive
+ *   tele/<topic>/STATE, SENSOR       → POWERx, Dimmer, Wifi_RSSI, ENERGY_Power, AM2301_Temperature, ...
+ *   tele/<topic>/INFO1               → INFO.Info1_Module, INFO.Info1_Version
+ *   stat/<topic>/POWERx, RESULT      → POWERx, Button1_Action, Shutter1_Position, ... (template → templateStates,
+ *                                      Interlock → interlockStates)
+ *   stat/<topic>/STATUS0..11         → STATUS.StatusNET_Mac, STATUS.Status_Topic, ...
+ *   setState(sonoff.0.<topic>.POWER2, true) → cmnd/<topic>/POWER2 ON
+ *
+ * Devices are asked for Status 0, Module, Template and Interlock when they come online, so
+ * the Data Updater script is not needed. Devices answering after the first scan
+ * (2 s after start) are added by the hot-plug discovery. Only the default FullTopic
+ * %prefix%/%topic%/ is supported. Several bridges (CONFIG.bridges) share the broker
+ * of --url; the Tasmota broker feeds the first Sonoff adapter of CONFIG.sources.
+ *
+ * Requirements:
+ * - Node.js 18+
+ * - mqtt package: npm install mqtt
+ *
+ * Usage:
+ *   node Sonoff_to_Z2M_standalone.js --url mqtt://localhost:1883 [options]
+ *
+ *   --url <url>           Broker of Zigbee2MQTT/Matterbridge (default mqtt://localhost:1883)
+ *   --tasmota-url <url>   Broker of the Tasmota devices (default: same as --url)
+ *   --username, --password  Broker credentials (also MQTT_USERNAME, MQTT_PASSWORD)
+ *   --config <file>       JSON file merged into CONFIG of the bridge (devices, groups, ota, debug, ...)
+ *   --state-file <file>   Persisted settings, registry and templates (default sonoff2z2m-state.json, '' = off)
+ *   --script <file>       Bridge script (default Sonoff_to_Z2M.js next to this file)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const vm = require('vm');
+
+// ==================== OPTIONS ====================
+
+const DEFAULTS = {
+    url: 'mqtt://localhost:1883',
+    tasmotaUrl: null,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    config: null,
+    stateFile: 'sonoff2z2m-state.json',
+    script: path.join(__dirname, 'Sonoff_to_Z2M.js')
+};
+
+/**
+ * Parses "--name value" arguments ("--tasmota-url" → tasmotaUrl), only names of the defaults are allowed
+ */
+function parseArgs(argv, defaults = DEFAULTS) {
+    const options = { ...defaults };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)$/);
+        if (!match || i + 1 >= argv.length) {
+            throw new Error(`Invalid argument '${argv[i]}'`);
+        }
+        const name = match[1].replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+        if (!(name in defaults)) {
+            throw new Error(`Unknown option '${argv[i]}'`);
+        }
+        options[name] = argv[++i];
+    }
+    return options;
+}
+
+// ==================== STATE STORE ====================
+
+/**
+ * RegExp check that also works for regular expressions created inside the bridge context
+ */
+function isRegExp(value) {
+    return Object.prototype.toString.call(value) === '[object RegExp]';
+}
+
+/**
+ * In-memory replacement of the ioBroker states, objects and subscriptions used by the bridge
+ */
+class StateStore {
+    constructor() {
+        this.states = new Map();      // Map<id, {val, ack, ts, lc}>
+        this.subscriptions = [];      // { match, change, cb }
+        this.objectSubscriptions = []; // { match, cb }
+        this.commandHandler = null;   // Called for setState with ack = false
+        this.persistHandler = null;   // Called for changes of persisted states
+    }
+
+    /**
+     * Converts an ioBroker pattern (* = any characters) into a matcher
+     */
+    static matcher(pattern) {
+        if (isRegExp(pattern)) return id => pattern.test(id);
+        const regex = new RegExp(`^${String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        return id => regex.test(id);
+    }
+
+    exists(id) {
+        return this.states.has(id);
+    }
+
+    get(id) {
+        return this.states.get(id) || null;
+    }
+
+    /**
+     * Sets a state, creates it (object event) if it is new and notifies the subscribers
+     */
+    set(id, val, ack) {
+        const oldState = this.states.get(id);
+        const now = Date.now();
+        const state = {
+            val: val,
+            ack: !!ack,
+            ts: now,
+            lc: oldState && oldState.val === val ? oldState.lc : now
+        };
+        this.states.set(id, state);
+
+        if (!oldState) {
+            this.objectSubscriptions.filter(sub => sub.match(id)).forEach(sub => sub.cb(id, { _id: id, type: 'state' }));
+        }
+        if (!ack && this.commandHandler) {
+            this.commandHandler(id, val);
+        }
+        if (this.persistHandler) {
+            this.persistHandler(id);
+        }
+
+        this.subscriptions.forEach(sub => {
+            if (!sub.match(id)) return;
+            if (sub.change === 'ne' && oldState && oldState.val === val) return;
+            try {
+                sub.cb({ id: id, state: state, oldState: oldState || { val: null } });
+            } catch (e) {
+                console.error(`[ERROR] Subscription of ${id} failed: ${e.stack || e.message}`);
+            }
+        });
+    }
+
+    /**
+     * Sets several states of a device, e.g. from a flattened Tasmota message
+     */
+    setAll(prefix, values) {
+        Object.keys(values).forEach(key => this.set(`${prefix}.${key}`, values[key], true));
+    }
+
+    subscribe(pattern, change, cb) {
+        const subscription = { match: StateStore.matcher(pattern), change: change || 'ne', cb: cb };
+        this.subscriptions.push(subscription);
+        return subscription;
+    }
+
+    unsubscribe(subscription) {
+        const index = this.subscriptions.indexOf(subscription);
+        if (index < 0) return false;
+        this.subscriptions.splice(index, 1);
+        return true;
+    }
+
+    subscribeObject(pattern, cb) {
+        this.objectSubscriptions.push({ match: StateStore.matcher(pattern), cb: cb });
+    }
+
+    ids(pattern) {
+        const match = StateStore.matcher(pattern);
+        return Array.from(this.states.keys()).filter(id => match(id));
+    }
+
+    /**
+     * Loads persisted states ({id: val}) from a JSON file
+     */
+    load(file) {
+        if (!file || !fs.existsSync(file)) return;
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        Object.keys(stored).forEach(id => this.states.set(id, { val: stored[id], ack: true, ts: Date.now(), lc: Date.now() }));
+        console.log(`[INFO] Loaded ${Object.keys(stored).length} state(s) from ${file}`);
+    }
+
+    /**
+     * Saves all states below the given prefix to a JSON file
+     */
+    save(file, prefix) {
+        const stored = {};
+        this.ids(`${prefix}*`).forEach(id => { stored[id] = this.states.get(id).val; });
+        fs.writeFileSync(file, JSON.stringify(stored, null, 2));
+    }
+}
+
+// ==================== TASMOTA TOPICS ====================
+
+/**
+ * Flattens a Tasmota JSON message the way the Sonoff adapter names its states
+ * ({"ENERGY":{"Power":5}} → ENERGY_Power, {"Button1":{"Action":"SINGLE"}} → Button1_Action)
+ * Arrays (multi-channel energy values) are stored as JSON, ON/OFF of POWERx as boolean
+ */
+function flattenTasmota(json, prefix = '') {
+    const states = {};
+    Object.keys(json).forEach(key => {
+        const value = json[key];
+        const name = prefix ? `${prefix}_${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(states, flattenTasmota(value, name));
+        } else if (Array.isArray(value)) {
+            states[name] = JSON.stringify(value);
+        } else if (/^POWER\d*$/.test(name) && (value === 'ON' || value === 'OFF')) {
+            states[name] = value === 'ON';
+        } else {
+            states[name] = value;
+        }
+    });
+    return states;
+}
+
+/**
+ * Parses a Tasmota payload as JSON, returns null for plain values
+ */
+function parseJson(payload) {
+    try {
+        const json = JSON.parse(payload);
+        return json && typeof json === 'object' ? json : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Maps the native Tasmota topics to Sonoff adapter states and POWER/Dimmer/... commands back to cmnd/ topics
+ */
+class TasmotaSource {
+    constructor(store, config, publish) {
+        this.store = store;
+        this.config = config;
+        this.publish = publish;       // (topic, message) → Tasmota broker
+        this.requested = new Set();   // Topics asked for Status 0/Module/Template/Interlock
+    }
+
+    prefix(topic) {
+        return `${this.config.sonoffAdapter}.${topic.replace(/\./g, '_')}`;
+    }
+
+    /**
+     * Asks a device for MAC, version, module, template and interlock (like the Data Updater)
+     */
+    requestDeviceInfo(topic) {
+        this.requested.add(topic);
+        this.publish(`cmnd/${topic}/Backlog`, 'Status 0; Module; Template; Interlock');
+    }
+
+    handleMessage(topic, payload) {
+        const match = topic.match(/^(tele|stat)\/([^/]+)\/(.+)$/);
+        if (!match) return;
+        const [, kind, device, name] = match;
+        const prefix = this.prefix(device);
+        const json = parseJson(payload);
+
+        // Command results for the bridge (PowerOnState, identify, OTA, ...), as the MQTT client adapter stores them
+        if (kind === 'stat' && this.config.tasmotaMqttAdapter) {
+            this.store.set(`${this.config.tasmotaMqttAdapter}.stat.${device}.${name}`, payload, true);
+        }
+
+        if (kind === 'tele' && name === 'LWT') {
+            const online = payload === 'Online';
+            this.store.set(`${prefix}.alive`, online, true);
+            if (online) {
+                this.requestDeviceInfo(device);
+            }
+            return;
+        }
+        if (!this.requested.has(device)) {
+            this.requestDeviceInfo(device);
+        }
+
+        if (kind === 'tele' && (name === 'STATE' || name === 'SENSOR') && json) {
+            this.store.setAll(prefix, flattenTasmota(json));
+        } else if (kind === 'tele' && name === 'INFO1' && json) {
+            const info = json.Info1 || json;
+            if (info.Module) this.store.set(`${prefix}.INFO.Info1_Module`, info.Module, true);
+            if (info.Version) this.store.set(`${prefix}.INFO.Info1_Version`, info.Version, true);
+        } else if (kind === 'stat' && /^POWER\d*$/.test(name)) {
+            this.store.set(`${prefix}.${name}`, payload === 'ON', true);
+        } else if (kind === 'stat' && /^STATUS\d*$/.test(name) && json) {
+            this.handleStatus(device, prefix, json);
+        } else if (kind === 'stat' && name === 'RESULT' && json) {
+            this.handleResult(device, prefix, json);
+        }
+    }
+
+    /**
+     * Status 0 (all sections in one message) or the single Status<x> replies of older firmware
+     */
+    handleStatus(device, prefix, json) {
+        Object.keys(json).forEach(section => {
+            const values = json[section];
+            if (section === 'StatusSNS' || section === 'StatusSTS') {
+                this.store.setAll(prefix, flattenTasmota(values));
+                return;
+            }
+            if (!values || typeof values !== 'object') return;
+            Object.keys(values).forEach(key => {
+                const value = values[key];
+                if (value === null || typeof value === 'object') return;
+                this.store.set(`${prefix}.STATUS.${section}_${key}`, value, true);
+            });
+            if (section === 'StatusFWR' && values.Version) {
+                this.store.set(`${prefix}.INFO.Info1_Version`, values.Version, true);
+            }
+        });
+    }
+
+    handleResult(device, prefix, json) {
+        // Template reply → raw template for the capability decoder
+        if (Array.isArray(json.GPIO) && json.NAME !== undefined) {
+            if (this.config.templateStates) {
+                const template = { NAME: json.NAME, GPIO: json.GPIO, FLAG: json.FLAG, BASE: json.BASE };
+                this.store.set(`${this.config.templateStates}.${device.replace(/\./g, '_')}`, JSON.stringify(template), true);
+            }
+            return;
+        }
+        // Interlock reply: {"Interlock":"ON","Groups":"1,2 3,4"}
+        if ('Interlock' in json) {
+            if (this.config.interlockStates) {
+                const interlock = { Interlock: json.Interlock, Groups: json.Groups };
+                this.store.set(`${this.config.interlockStates}.${device.replace(/\./g, '_')}`, JSON.stringify(interlock), true);
+            }
+            return;
+        }
+        // Module reply: {"Module":{"1":"Sonoff Basic"}}
+        if (json.Module && typeof json.Module === 'object') {
+            const module = Object.values(json.Module)[0];
+            if (module) this.store.set(`${prefix}.INFO.Info1_Module`, module, true);
+            return;
+        }
+        this.store.setAll(prefix, flattenTasmota(json));
+    }
+
+    /**
+     * Commands of the bridge: setState(sonoff.0.<topic>.<command>, value) → cmnd/<topic>/<command>
+     */
+    handleCommand(id, val) {
+        const prefix = `${this.config.sonoffAdapter}.`;
+        if (!id.startsWith(prefix)) return;
+        const parts = id.substring(prefix.length).split('.');
+        if (parts.length !== 2) return;
+
+        const topic = this.store.get(`${prefix}${parts[0]}.STATUS.Status_Topic`);
+        const payload = typeof val === 'boolean' ? (val ? 'ON' : 'OFF') : String(val);
+        this.publish(`cmnd/${topic ? topic.val : parts[0]}/${parts[1]}`, payload);
+    }
+}
+
+// ==================== IOBROKER FUNCTIONS ====================
+
+/**
+ * Creates the global functions of the ioBroker JavaScript adapter used by the bridge script
+ */
+function createSandbox(store, clients, stopHandlers) {
+    const callLast = (args, ...values) => {
+        const cb = args.find(arg => typeof arg === 'function');
+        if (cb) setImmediate(() => cb(...values));
+    };
+
+    return {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+        setImmediate: setImmediate,
+
+        getState: id => store.get(id),
+        existsState: id => store.exists(id),
+        setState: (id, val, ack, cb) => {
+            if (typeof ack === 'function') {
+                cb = ack;
+                ack = false;
+            }
+            if (val && typeof val === 'object' && 'val' in val) {
+                ack = val.ack;
+                val = val.val;
+            }
+            store.set(id, val, ack);
+            if (cb) setImmediate(cb);
+        },
+        createState: (id, initial, ...args) => {
+            if (!store.exists(id)) {
+                store.set(id, initial, true);
+            }
+            callLast(args);
+        },
+
+        $: pattern => {
+            const ids = store.ids(pattern);
+            return {
+                length: ids.length,
+                each: cb => ids.forEach((id, i) => cb(id, i)),
+                on: (cb, change) => store.subscribe(pattern, change, cb)
+            };
+        },
+        on: (spec, cb) => {
+            if (typeof spec === 'string' || isRegExp(spec)) {
+                return store.subscribe(spec, 'ne', cb);
+            }
+            return store.subscribe(spec.id, spec.change, cb);
+        },
+        unsubscribe: subscription => store.unsubscribe(subscription),
+        subscribeObject: (pattern, cb) => store.subscribeObject(pattern, cb),
+
+        sendTo: (instance, command, message, cb) => {
+            const client = clients[instance];
+            if (command !== 'sendMessage2Client' || !client) {
+                console.error(`[ERROR] sendTo(${instance}, ${command}) is not supported in standalone mode`);
+                return;
+            }
+            client.publish(message.topic, String(message.message), { retain: !!message.retain });
+            if (cb) setImmediate(() => cb({}));
+        },
+        onStop: cb => stopHandlers.push(cb),
+
+        httpGet: (url, options, cb) => {
+            if (typeof options === 'function') {
+                cb = options;
+                options = {};
+            }
+            const request = (url.startsWith('https:') ? https : http).get(url, { timeout: options.timeout || 5000 }, response => {
+                let data = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { data += chunk; });
+                response.on('end', () => cb(null, { statusCode: response.statusCode, data: data }));
+            });
+            request.on('timeout', () => request.destroy(new Error('timeout')));
+            request.on('error', e => cb(e.message));
+        }
+    };
+}
+
+// ==================== START ====================
+
+/**
+ * Merges the --config file into CONFIG of the bridge (objects are merged, everything else replaced)
+ */
+function applyConfig(config, file) {
+    if (!file) return;
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.keys(overrides).forEach(key => {
+        const value = overrides[key];
+        config[key] = value && typeof value === 'object' && !Array.isArray(value) && config[key] && typeof config[key] === 'object'
+            ? { ...config[key], ...value }
+            : value;
+    });
+}
+
+function connect(mqtt, url, options, name) {
+    const client = mqtt.connect(url, {
+        username: options.username,
+        password: options.password,
+        clientId: `sonoff2z2m-${name}-${Math.random().toString(16).substring(2, 8)}`
+    });
+    client.on('error', e => console.error(`[ERROR] MQTT ${name} (${url}): ${e.message}`));
+    return client;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const mqtt = require('mqtt');
+
+    const store = new StateStore();
+    const stopHandlers = [];
+    const clients = {};
+
+    // Persisted settings, registry and templates (0_userdata.*), needed before the bridge initializes
+    const persistPrefix = '0_userdata.';
+    let persistTimer = null;
+    store.load(options.stateFile);
+    store.persistHandler = id => {
+        if (!options.stateFile || !id.startsWith(persistPrefix) || persistTimer) return;
+        persistTimer = setTimeout(() => {
+            persistTimer = null;
+            store.save(options.stateFile, persistPrefix);
+        }, 1000);
+    };
+
+    // Load the bridge script with the ioBroker functions of this runtime. The timers it
+    // schedules while loading (its start) are held back until --config has been applied.
+    const sandbox = createSandbox(store, clients, stopHandlers);
+    const startTimers = [];
+    sandbox.setTimeout = (cb, delay, ...args) => {
+        startTimers.push(() => setTimeout(cb, delay, ...args));
+    };
+    const context = vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(options.script, 'utf8'), context, { filename: options.script });
+    sandbox.setTimeout = setTimeout;
+    const config = vm.runInContext('CONFIG', context);
+    applyConfig(config, options.config);
+
+    // All bridges share the Zigbee2MQTT broker, the Tasmota broker feeds the first source
+    const { sources, bridges } = vm.runInContext('createInstances()', context);
+    const [primary, ...others] = Array.from(sources.values());
+    if (!primary) {
+        throw new Error('No Sonoff adapter assigned to a bridge (CONFIG.sources/CONFIG.bridges)');
+    }
+    if (others.length > 0) {
+        console.warn(`[WARN] Only ${primary.adapter} is fed from the Tasmota broker, ignoring ${others.map(s => s.adapter).join(', ')}`);
+    }
+
+    const z2mClient = connect(mqtt, options.url, options, 'z2m');
+    const tasmotaClient = options.tasmotaUrl && options.tasmotaUrl !== options.url
+        ? connect(mqtt, options.tasmotaUrl, options, 'tasmota')
+        : z2mClient;
+    bridges.forEach(bridge => { clients[bridge.mqttAdapter] = z2mClient; });
+    if (primary.tasmotaMqttAdapter) {
+        clients[primary.tasmotaMqttAdapter] = tasmotaClient;
+    }
+
+    // Tasmota topics → Sonoff adapter states, commands → cmnd/ topics
+    const sourceConfig = {
+        sonoffAdapter: primary.adapter,
+        tasmotaMqttAdapter: primary.tasmotaMqttAdapter,
+        templateStates: primary.templateStates,
+        interlockStates: primary.interlockStates
+    };
+    const source = new TasmotaSource(store, sourceConfig, (topic, message) => tasmotaClient.publish(topic, message));
+    store.commandHandler = (id, val) => source.handleCommand(id, val);
+    tasmotaClient.on('connect', () => {
+        console.log(`[INFO] Connected to Tasmota broker ${options.tasmotaUrl || options.url}`);
+        tasmotaClient.subscribe(['tele/#', 'stat/#']);
+    });
+    tasmotaClient.on('message', (topic, payload) => {
+        if (/^(tele|stat)\//.test(topic)) {
+            source.handleMessage(topic, payload.toString());
+        }
+    });
+
+    // Zigbee2MQTT requests → MQTT client adapter states (zigbee2mqtt/Plug/set → mqtt.4.zigbee2mqtt.Plug.set)
+    const mqttAdapters = Array.from(new Set(bridges.map(bridge => bridge.mqttAdapter)));
+    z2mClient.on('connect', () => {
+        console.log(`[INFO] Connected to broker ${options.url}`);
+        bridges.forEach(bridge => {
+            const base = bridge.baseTopic;
+            z2mClient.subscribe([`${base}/+/set`, `${base}/+/get`, `${base}/bridge/request/#`]);
+        });
+        mqttAdapters.forEach(adapter => store.set(`${adapter}.info.connection`, true, true));
+    });
+    z2mClient.on('close', () => {
+        mqttAdapters.forEach(adapter => {
+            if ((store.get(`${adapter}.info.connection`) || {}).val) {
+                store.set(`${adapter}.info.connection`, false, true);
+            }
+        });
+    });
+    z2mClient.on('message', (topic, payload) => {
+        bridges.filter(bridge => topic.startsWith(`${bridge.baseTopic}/`)).forEach(bridge => {
+            store.set(`${bridge.mqttAdapter}.${topic.replace(/\//g, '.')}`, payload.toString(), true);
+        });
+    });
+
+    // The bridge starts after its delay (2 s), the brokers are connected meanwhile
+    startTimers.forEach(start => start());
+
+    let stopping = false;
+    const stop = () => {
+        if (stopping) return;
+        stopping = true;
+        console.log('[INFO] Stopping...');
+        stopHandlers.forEach(cb => cb());
+        if (options.stateFile) {
+            store.save(options.stateFile, persistPrefix);
+        }
+        // Give the last publishes (offline availability) time to be sent
+        setTimeout(() => {
+            z2mClient.end();
+            if (tasmotaClient !== z2mClient) tasmotaClient.end();
+            process.exit(0);
+        }, 500);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (e) {
+        console.error(`[ERROR] ${e.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { parseArgs, StateStore, TasmotaSource, flattenTasmota, createSandbox };